@@ -1,23 +1,181 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
 const YouTubeService = require('./services/youtubeService');
+const { AmbiguousChannelError } = require('./services/youtubeService');
+const QuotaService = require('./services/quotaService');
+const { QuotaExceededError } = require('./services/quotaService');
+const CacheService = require('./services/cacheService');
+const HookAnalysisService = require('./services/hookAnalysisService');
+const TitleAnalyticsService = require('./services/titleAnalyticsService');
+const ReportService = require('./services/reportService');
+const MetricsService = require('./services/metricsService');
+const { FORMATS: REPORT_FORMATS } = require('./services/reportService');
 const AIService = require('./services/aiService');
+const { createProvider } = require('./services/providers');
+const FixtureProvider = require('./services/providers/fixtureProvider');
+const FixtureService = require('./services/fixtureService');
+const ComparisonService = require('./services/comparisonService');
+const GapAnalysisService = require('./services/gapAnalysisService');
+const HistoryService = require('./services/historyService');
+const WatchlistService = require('./services/watchlistService');
+const AlertService = require('./services/alertService');
+const WebhookService = require('./services/webhookService');
+const AlertLogSink = require('./services/alertLogSink');
+const ApiKeyService = require('./services/apiKeyService');
+const { DEFAULT_WORKSPACE } = require('./services/apiKeyService');
+const RateLimitService = require('./services/rateLimitService');
+const JobService = require('./services/jobService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_COMPARE_CHANNELS = 5;
+const MAX_TITLE_LENGTH = 100;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// FIXTURE_MODE=record saves every YouTube and LLM response under FIXTURE_DIR;
+// FIXTURE_MODE=replay answers from those files without touching the network
+const FIXTURE_MODE = process.env.FIXTURE_MODE || null;
+const FIXTURE_DIR = process.env.FIXTURE_DIR || path.join(__dirname, 'fixtures');
+// Every /api route but the health check and login needs an API key or a session. With
+// AUTH_ENABLED=false every request acts as an admin of the default workspace.
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const LOCAL_AUTH = { keyId: null, name: 'local', role: 'admin', workspace: DEFAULT_WORKSPACE, limits: {} };
+const SESSION_COOKIE = 'pulseinsight_session';
+// index.html is served from / and needs no CORS; other browser origins must be listed
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
-app.use(cors());
+// Content-Disposition carries report filenames to the browser, the RateLimit headers let
+// clients back off before they hit a 429
+app.use(cors({
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : !AUTH_ENABLED,
+  exposedHeaders: ['Content-Disposition', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
 app.use(express.json());
+// Express 5 leaves req.body undefined when no JSON was sent; routes validate an empty body instead
+app.use((req, res, next) => {
+  if (req.body === undefined) req.body = {};
+  next();
+});
+app.use('/api', authenticate);
+app.use('/api/admin', requireAdmin);
+
+const quotaService = new QuotaService(DATA_DIR, {
+  dailyBudget: parseInt(process.env.YOUTUBE_DAILY_QUOTA) || 10000
+});
+const fixtureService = FIXTURE_MODE ? new FixtureService(FIXTURE_DIR, FIXTURE_MODE) : null;
+// The cache is off with fixtures, otherwise cached responses would never be recorded or replayed
+const cacheService = new CacheService(DATA_DIR, {
+  enabled: process.env.CACHE_ENABLED !== 'false' && !fixtureService
+});
+const youtubeService = new YouTubeService(process.env.YOUTUBE_API_KEY, quotaService, cacheService, fixtureService);
+const aiService = new AIService(fixtureService ? new FixtureProvider(fixtureService, createProvider()) : createProvider(), {
+  cacheService,
+  maxRepairs: process.env.LLM_MAX_REPAIRS !== undefined ? parseInt(process.env.LLM_MAX_REPAIRS) : 2,
+  chunkTokens: parseInt(process.env.TRANSCRIPT_CHUNK_TOKENS) || 1500,
+  maxChunksPerVideo: parseInt(process.env.TRANSCRIPT_MAX_CHUNKS) || 12,
+  hookWindowSeconds: parseInt(process.env.HOOK_WINDOW_SECONDS) || 30,
+  // Independent analysis stages run side by side; lower this if the LLM struggles with parallel prompts
+  stageConcurrency: parseInt(process.env.ANALYSIS_STAGE_CONCURRENCY) || undefined
+});
+const comparisonService = new ComparisonService();
+const gapAnalysisService = new GapAnalysisService();
+const hookAnalysis = new HookAnalysisService();
+const titleAnalytics = new TitleAnalyticsService();
+const reportService = new ReportService();
+const metricsService = new MetricsService();
+const historyService = new HistoryService(DATA_DIR);
+const watchlistService = new WatchlistService(DATA_DIR, runWatchlistAnalysis);
+const webhookService = new WebhookService(DATA_DIR, {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4,
+  retryDelay: process.env.WEBHOOK_RETRY_DELAY_MS !== undefined ? parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) : 1000,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+});
+const alertLog = new AlertLogSink(process.env.ALERT_LOG_FILE || path.join(DATA_DIR, 'alerts.log'));
+const alertService = new AlertService(DATA_DIR, historyService, { sinks: [alertLog, webhookService] });
+// A key's own limits win; these apply where a key leaves one unset (null)
+const apiKeyService = new ApiKeyService(DATA_DIR, {
+  adminKey: process.env.ADMIN_API_KEY,
+  defaultLimits: {
+    requestsPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 120,
+    analysesPerHour: parseInt(process.env.ANALYSES_PER_HOUR) || 10,
+    youtubeUnitsPerDay: parseInt(process.env.KEY_YOUTUBE_QUOTA_SHARE) || null
+  },
+  sessionTtl: (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+const rateLimitService = new RateLimitService();
+// Every analysis runs through this queue, whether a route waits for it or it was queued
+// with POST /api/jobs, so JOB_CONCURRENCY caps how many hit the LLM at once
+const jobService = new JobService(runAnalysis, {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1
+});
 
-const youtubeService = new YouTubeService(process.env.YOUTUBE_API_KEY);
-const aiService = new AIService();
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+app.get('/api/health', async (req, res) => {
+  const [aiProvider, youtubeQuota] = await Promise.all([
+    aiService.provider.checkHealth(),
+    quotaService.getUsage()
+  ]);
 
-app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'online', 
     timestamp: new Date().toISOString(),
-    aiProvider: 'Ollama (Local & Free)'
+    aiProvider,
+    youtubeQuota
+  });
+});
+
+// Logs index.html in: the API key is swapped for an HttpOnly session cookie, which the
+// page's fetch and EventSource calls then send on their own
+app.post('/api/session', async (req, res) => {
+  try {
+    if (!AUTH_ENABLED) {
+      return res.json({ success: true, data: req.auth, authEnabled: false });
+    }
+
+    const { apiKey } = req.body;
+    if (typeof apiKey !== 'string' || apiKey === '') {
+      return res.status(400).json({ success: false, error: 'apiKey is required' });
+    }
+
+    const auth = await apiKeyService.authenticate(apiKey);
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    const session = apiKeyService.createSession(auth);
+    res.cookie(SESSION_COOKIE, session.token, { httpOnly: true, sameSite: 'strict', maxAge: session.maxAge, path: '/' });
+    res.json({ success: true, data: auth, authEnabled: true });
+  } catch (error) {
+    console.error('❌ Session error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/session', (req, res) => {
+  res.json({ success: true, data: req.auth, authEnabled: AUTH_ENABLED });
+});
+
+app.delete('/api/session', (req, res) => {
+  apiKeyService.endSession(getCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
+
+// Analysis stages a request can turn on or off, and the prompt variants each offers
+app.get('/api/analysis/stages', (req, res) => {
+  const prompts = new Map(aiService.prompts.list().map(entry => [entry.stage, entry]));
+  res.json({
+    success: true,
+    data: aiService.pipeline.describe().map(stage => ({
+      ...stage,
+      promptVariants: prompts.has(stage.name) ? prompts.get(stage.name).variants : [],
+      defaultVariant: prompts.has(stage.name) ? prompts.get(stage.name).defaultVariant : null
+    }))
   });
 });
 
@@ -29,28 +187,33 @@ app.post('/api/analyze', async (req, res) => {
       return res.status(400).json({ error: 'Channel handle is required' });
     }
 
-    console.log(`\n🎯 Analyzing channel: ${channelHandle}`);
-    console.log('📊 Step 1: Gathering YouTube data...');
-    
-    const youtubeData = await youtubeService.gatherChannelIntelligence(channelHandle);
-    console.log(`✓ Found ${youtubeData.totalVideosAnalyzed} videos with ${youtubeData.totalComments} comments`);
+    const sampling = getSamplingOptions(req.body);
+    const samplingError = youtubeService.validateSampling(sampling);
+    if (samplingError) {
+      return res.status(400).json({ error: samplingError });
+    }
+
+    const pipeline = getPipelineOptions(req.body);
+    const pipelineError = aiService.validatePipelineOptions(pipeline);
+    if (pipelineError) {
+      return res.status(400).json({ error: pipelineError });
+    }
 
-    console.log('🤖 Step 2: Running AI analysis (this may take 30-60 seconds)...');
-    const intelligence = await aiService.generateIntelligence(youtubeData);
-    console.log('✓ AI analysis complete!');
+    if (!chargeAnalyses(req, res)) return;
 
-    const metrics = calculateEnhancedMetrics(youtubeData);
+    const data = await jobService.run(channelHandle, { sampling, ...pipeline, forceRefresh: isForceRefresh(req.body), ...getScope(req) });
 
     res.json({
       success: true,
-      data: {
-        ...intelligence,
-        metrics,
-        channelInfo: youtubeData.channelStats,
-        videoBreakdown: getVideoBreakdown(youtubeData.videos)
-      }
+      data
     });
   } catch (error) {
+    if (error instanceof AmbiguousChannelError) {
+      return res.status(409).json({ success: false, error: error.message, candidates: error.candidates });
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ success: false, error: error.message });
+    }
     console.error('❌ Analysis error:', error);
     res.status(500).json({
       success: false,
@@ -59,85 +222,1078 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
-function calculateEnhancedMetrics(youtubeData) {
-  const videos = youtubeData.videos;
-  
-  const totalViews = videos.reduce((sum, v) => sum + parseInt(v.stats.viewCount || 0), 0);
-  const totalLikes = videos.reduce((sum, v) => sum + parseInt(v.stats.likeCount || 0), 0);
-  const totalComments = videos.reduce((sum, v) => sum + parseInt(v.stats.commentCount || 0), 0);
-  
-  const avgViews = Math.round(totalViews / videos.length);
-  const avgLikes = Math.round(totalLikes / videos.length);
-  const avgComments = Math.round(totalComments / videos.length);
-
-  const engagementRate = totalViews > 0 ? ((totalLikes / totalViews) * 100).toFixed(2) : '0.00';
-  const commentRate = totalViews > 0 ? ((totalComments / totalViews) * 100).toFixed(2) : '0.00';
-
-  const bestVideo = videos.reduce((best, current) => {
-    const currentViews = parseInt(current.stats.viewCount || 0);
-    const bestViews = parseInt(best.stats.viewCount || 0);
-    return currentViews > bestViews ? current : best;
-  }, videos[0]);
-
-  const dates = videos.map(v => new Date(v.publishedAt)).sort((a, b) => b - a);
-  const daysBetweenFirstAndLast = (dates[0] - dates[dates.length - 1]) / (1000 * 60 * 60 * 24);
-  const uploadFrequency = daysBetweenFirstAndLast > 0 ? ((videos.length / daysBetweenFirstAndLast) * 7).toFixed(1) : '0';
-
-  const midpoint = Math.floor(videos.length / 2);
-  const recentVideos = videos.slice(0, midpoint);
-  const olderVideos = videos.slice(midpoint);
-  
-  const recentAvgViews = recentVideos.reduce((sum, v) => sum + parseInt(v.stats.viewCount || 0), 0) / recentVideos.length;
-  const olderAvgViews = olderVideos.reduce((sum, v) => sum + parseInt(v.stats.viewCount || 0), 0) / olderVideos.length;
-  
-  const viewsTrend = olderAvgViews > 0 ? (((recentAvgViews - olderAvgViews) / olderAvgViews) * 100).toFixed(1) : '0';
-
-  const videosWithTranscripts = videos.filter(v => v.transcript && v.transcript.length > 0).length;
-  const transcriptAvailability = ((videosWithTranscripts / videos.length) * 100).toFixed(0);
-
-  return {
-    videosAnalyzed: videos.length,
-    commentsProcessed: youtubeData.totalComments,
-    totalViews,
-    avgViews,
-    viewsTrend: parseFloat(viewsTrend),
-    totalLikes,
-    avgLikes,
-    engagementRate: parseFloat(engagementRate),
-    totalComments,
-    avgComments,
-    commentRate: parseFloat(commentRate),
-    bestPerformingVideo: {
-      title: bestVideo.title,
-      views: bestVideo.stats.viewCount,
-      likes: bestVideo.stats.likeCount
-    },
-    uploadFrequency: parseFloat(uploadFrequency),
-    transcriptAvailability: parseInt(transcriptAvailability),
-    subscriberCount: youtubeData.channelStats.subscriberCount,
-    totalChannelViews: youtubeData.channelStats.totalViews,
-    totalChannelVideos: youtubeData.channelStats.totalVideos
+// Lets the UI confirm which channel an input resolves to before spending an analysis on it
+app.get('/api/channels/resolve', async (req, res) => {
+  try {
+    const { input } = req.query;
+
+    if (!input) {
+      return res.status(400).json({ error: 'input is required' });
+    }
+
+    const channel = await youtubeService.resolveChannel(input, { auth: req.auth });
+    res.json({ success: true, data: channel });
+  } catch (error) {
+    if (error instanceof AmbiguousChannelError) {
+      return res.status(409).json({ success: false, error: error.message, candidates: error.candidates });
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ success: false, error: error.message });
+    }
+    console.error('❌ Channel resolve error:', error);
+    const status = error.message.includes('Channel not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Same as POST /api/analyze, but streams progress as Server-Sent Events.
+// GET so the browser's EventSource can consume it directly.
+app.get('/api/analyze/stream', async (req, res) => {
+  const { channelHandle } = req.query;
+
+  if (!channelHandle) {
+    return res.status(400).json({ error: 'Channel handle is required' });
+  }
+
+  const sampling = getSamplingOptions(req.query);
+  const samplingError = youtubeService.validateSampling(sampling);
+  if (samplingError) {
+    return res.status(400).json({ error: samplingError });
+  }
+
+  const pipeline = getPipelineOptions(req.query);
+  const pipelineError = aiService.validatePipelineOptions(pipeline);
+  if (pipelineError) {
+    return res.status(400).json({ error: pipelineError });
+  }
+
+  if (!chargeAnalyses(req, res)) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  // Stop spending quota and LLM time once nobody is listening
+  const controller = new AbortController();
+  let closed = false;
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    closed = true;
+    controller.abort();
+  });
+
+  const send = (event, payload) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
   };
+
+  try {
+    const data = await jobService.run(channelHandle, {
+      sampling,
+      ...pipeline,
+      forceRefresh: isForceRefresh(req.query),
+      ...getScope(req),
+      onProgress: progress => send('progress', progress),
+      signal: controller.signal
+    });
+    send('result', { success: true, data });
+  } catch (error) {
+    if (closed) {
+      console.log(`⏹️  Client disconnected, cancelled analysis of ${channelHandle}`);
+    } else {
+      console.error('❌ Analysis error:', error);
+      send('failed', { success: false, error: error.message, candidates: error.candidates });
+    }
+  }
+
+  res.end();
+});
+
+app.post('/api/jobs', (req, res) => {
+  const { channelHandle } = req.body;
+
+  if (!channelHandle) {
+    return res.status(400).json({ error: 'Channel handle is required' });
+  }
+
+  const sampling = getSamplingOptions(req.body);
+  const samplingError = youtubeService.validateSampling(sampling);
+  if (samplingError) {
+    return res.status(400).json({ error: samplingError });
+  }
+
+  const pipeline = getPipelineOptions(req.body);
+  const pipelineError = aiService.validatePipelineOptions(pipeline);
+  if (pipelineError) {
+    return res.status(400).json({ error: pipelineError });
+  }
+
+  if (!chargeAnalyses(req, res)) return;
+
+  const job = jobService.create(channelHandle, { sampling, ...pipeline, forceRefresh: isForceRefresh(req.body), ...getScope(req) });
+  res.status(202).json({ success: true, data: job });
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, data: jobService.list(req.auth.workspace), queue: jobService.getStatus() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = inWorkspace(req, jobService.get(req.params.id));
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({ success: true, data: job });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = inWorkspace(req, jobService.get(req.params.id));
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({ success: true, data: jobService.cancel(job.id) });
+});
+
+app.post('/api/compare', async (req, res) => {
+  try {
+    const { channelHandles } = req.body;
+
+    if (!Array.isArray(channelHandles)) {
+      return res.status(400).json({ error: 'channelHandles must be an array of channel handles' });
+    }
+
+    const handles = [...new Set(channelHandles.map(h => String(h).trim()).filter(Boolean))];
+
+    if (handles.length < 2) {
+      return res.status(400).json({ error: 'At least 2 channel handles are required to compare' });
+    }
+
+    if (handles.length > MAX_COMPARE_CHANNELS) {
+      return res.status(400).json({ error: `At most ${MAX_COMPARE_CHANNELS} channels can be compared at once` });
+    }
+
+    const sampling = getSamplingOptions(req.body);
+    const samplingError = youtubeService.validateSampling(sampling);
+    if (samplingError) {
+      return res.status(400).json({ error: samplingError });
+    }
+
+    const pipeline = getPipelineOptions(req.body);
+    const pipelineError = aiService.validatePipelineOptions(pipeline);
+    if (pipelineError) {
+      return res.status(400).json({ error: pipelineError });
+    }
+
+    if (!chargeAnalyses(req, res, handles.length)) return;
+
+    console.log(`\n⚔️  Comparing ${handles.length} channels: ${handles.join(', ')}`);
+
+    // Channels are analyzed one after another so the LLM isn't hit with parallel prompts
+    const channels = [];
+    for (const handle of handles) {
+      try {
+        const data = await jobService.run(handle, { sampling, ...pipeline, forceRefresh: isForceRefresh(req.body), ...getScope(req) });
+        channels.push({ channelHandle: handle, success: true, data });
+      } catch (error) {
+        console.error(`❌ Comparison error for ${handle}:`, error.message);
+        channels.push({ channelHandle: handle, success: false, error: error.message, candidates: error.candidates });
+      }
+    }
+
+    const analyzed = channels.filter(c => c.success);
+    if (analyzed.length < 2) {
+      return res.status(502).json({
+        success: false,
+        error: 'Fewer than 2 channels could be analyzed',
+        channels
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        channels,
+        comparison: comparisonService.compare(analyzed.map(c => c.data))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Comparison error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Content gaps across channels: fresh analyses of channelHandles and/or saved analyses
+// by analysisIds, so a planning session can reuse yesterday's runs without new quota
+app.post('/api/gaps', async (req, res) => {
+  try {
+    const { channelHandles = [], analysisIds = [] } = req.body;
+
+    if (!Array.isArray(channelHandles) || !Array.isArray(analysisIds)) {
+      return res.status(400).json({ error: 'channelHandles and analysisIds must be arrays' });
+    }
+
+    const handles = [...new Set(channelHandles.map(h => String(h).trim()).filter(Boolean))];
+    const ids = [...new Set(analysisIds.map(id => String(id).trim()).filter(Boolean))];
+
+    if (handles.length + ids.length === 0) {
+      return res.status(400).json({ error: 'At least 1 channel handle or analysis ID is required' });
+    }
+
+    if (handles.length + ids.length > MAX_COMPARE_CHANNELS) {
+      return res.status(400).json({ error: `At most ${MAX_COMPARE_CHANNELS} channels can be analyzed for gaps at once` });
+    }
+
+    const sampling = getSamplingOptions(req.body);
+    const samplingError = youtubeService.validateSampling(sampling);
+    if (samplingError) {
+      return res.status(400).json({ error: samplingError });
+    }
+
+    const pipeline = getPipelineOptions(req.body);
+    const pipelineError = aiService.validatePipelineOptions(pipeline);
+    if (pipelineError) {
+      return res.status(400).json({ error: pipelineError });
+    }
+    // Comment requests are what gaps are found from, so they run whatever else is turned off
+    if (pipeline.stages) pipeline.stages = [...new Set([...pipeline.stages, 'audienceRequests'])];
+
+    // Saved analyses are reused, so only the fresh ones count against the limit
+    if (handles.length > 0 && !chargeAnalyses(req, res, handles.length)) return;
+
+    const total = handles.length + ids.length;
+    console.log(`\n🕳️  Finding content gaps across ${total} channel${total === 1 ? '' : 's'}`);
+
+    const channels = [];
+    for (const analysisId of ids) {
+      const snapshot = await getWorkspaceSnapshot(req, analysisId);
+      channels.push(snapshot
+        ? { analysisId, channelHandle: snapshot.channelHandle, success: true, data: snapshot.analysis }
+        : { analysisId, success: false, error: 'Analysis not found' });
+    }
+    // Channels are analyzed one after another so the LLM isn't hit with parallel prompts
+    for (const handle of handles) {
+      try {
+        const data = await jobService.run(handle, { sampling, ...pipeline, forceRefresh: isForceRefresh(req.body), ...getScope(req) });
+        channels.push({ channelHandle: handle, success: true, data });
+      } catch (error) {
+        console.error(`❌ Gap analysis error for ${handle}:`, error.message);
+        channels.push({ channelHandle: handle, success: false, error: error.message, candidates: error.candidates });
+      }
+    }
+
+    const analyzed = channels.filter(c => c.success);
+    if (analyzed.length === 0) {
+      return res.status(502).json({
+        success: false,
+        error: 'No channel could be analyzed',
+        channels
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        channels: channels.map(({ data, ...channel }) => channel),
+        gaps: gapAnalysisService.analyze(analyzed.map(c => c.data))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Gap analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Scores a draft title against a channel's title patterns: those saved with analysisId,
+// or learned from a fresh sample of channelHandle's videos (YouTube data only, no AI)
+// Only scoring against a fresh sample spends quota, so only that counts as an analysis
+app.post('/api/titles/score', async (req, res) => {
+  try {
+    const { title, analysisId, channelHandle } = req.body;
+
+    if (typeof title !== 'string' || title.trim() === '') {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    if (Array.from(title.trim()).length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ error: `YouTube titles are at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    if (!analysisId && !channelHandle) {
+      return res.status(400).json({ error: 'analysisId or channelHandle is required' });
+    }
+
+    let titlePatterns;
+    if (analysisId) {
+      const snapshot = await getWorkspaceSnapshot(req, analysisId);
+      if (!snapshot) {
+        return res.status(404).json({ success: false, error: 'Analysis not found' });
+      }
+      if (!snapshot.analysis.titlePatterns) {
+        return res.status(409).json({ success: false, error: 'This analysis has no title patterns; run a new analysis of the channel' });
+      }
+      titlePatterns = snapshot.analysis.titlePatterns;
+    } else {
+      const sampling = getSamplingOptions(req.body);
+      const samplingError = youtubeService.validateSampling(sampling);
+      if (samplingError) {
+        return res.status(400).json({ error: samplingError });
+      }
+
+      if (!chargeAnalyses(req, res)) return;
+
+      const { videos } = await youtubeService.gatherChannelVideos(channelHandle, { sampling, forceRefresh: isForceRefresh(req.body), auth: req.auth });
+      titlePatterns = titleAnalytics.analyze(videos);
+    }
+
+    res.json({ success: true, data: titleAnalytics.scoreDraft(title.trim(), titlePatterns) });
+  } catch (error) {
+    if (error instanceof AmbiguousChannelError) {
+      return res.status(409).json({ success: false, error: error.message, candidates: error.candidates });
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ success: false, error: error.message });
+    }
+    console.error('❌ Title score error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/history', async (req, res) => {
+  try {
+    const channels = await historyService.listChannels(req.auth.workspace);
+    res.json({ success: true, data: channels });
+  } catch (error) {
+    console.error('❌ History error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/history/:channelId', async (req, res) => {
+  try {
+    if (!historyService.isValidChannelId(req.params.channelId)) {
+      return res.status(400).json({ success: false, error: 'Invalid channel ID' });
+    }
+
+    const snapshots = await historyService.listSnapshots(req.params.channelId, req.auth.workspace);
+    res.json({ success: true, data: snapshots });
+  } catch (error) {
+    console.error('❌ History error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const snapshot = await getWorkspaceSnapshot(req, req.params.snapshotId);
+
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+
+    res.json({ success: true, data: snapshot });
+  } catch (error) {
+    console.error('❌ Snapshot error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/snapshots/:fromId/diff/:toId', async (req, res) => {
+  try {
+    const [from, to] = await Promise.all([
+      getWorkspaceSnapshot(req, req.params.fromId),
+      getWorkspaceSnapshot(req, req.params.toId)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+
+    if (from.channelId !== to.channelId) {
+      return res.status(400).json({ success: false, error: 'Snapshots belong to different channels' });
+    }
+
+    res.json({ success: true, data: historyService.diffSnapshots(from, to) });
+  } catch (error) {
+    console.error('❌ Snapshot diff error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// analysisId is the snapshot ID returned with every analysis
+app.get('/api/reports/:analysisId', async (req, res) => {
+  try {
+    const format = (req.query.format || 'pdf').toLowerCase();
+    if (!reportService.isValidFormat(format)) {
+      return res.status(400).json({ success: false, error: `Format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+
+    const snapshot = await getWorkspaceSnapshot(req, req.params.analysisId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
+
+    const report = await reportService.render(snapshot, format);
+    res.attachment(report.filename);
+    res.type(report.contentType);
+    res.send(report.body);
+  } catch (error) {
+    console.error('❌ Report error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/watchlist', async (req, res) => {
+  try {
+    const entries = await watchlistService.list(req.auth.workspace);
+    res.json({ success: true, data: entries, scheduler: watchlistService.getStatus(req.auth.workspace) });
+  } catch (error) {
+    console.error('❌ Watchlist error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/watchlist', async (req, res) => {
+  try {
+    const validationError = watchlistService.validateEntry(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const entry = await watchlistService.add(req.body, req.auth.workspace, req.auth.keyId);
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    console.error('❌ Watchlist error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/watchlist/:id', async (req, res) => {
+  try {
+    const entry = inWorkspace(req, await watchlistService.get(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Watchlist entry not found' });
+    }
+
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('❌ Watchlist error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/watchlist/:id', async (req, res) => {
+  try {
+    const validationError = watchlistService.validateEntry(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const entry = inWorkspace(req, await watchlistService.get(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Watchlist entry not found' });
+    }
+
+    res.json({ success: true, data: await watchlistService.update(entry.id, req.body) });
+  } catch (error) {
+    console.error('❌ Watchlist error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/watchlist/:id', async (req, res) => {
+  try {
+    const entry = inWorkspace(req, await watchlistService.get(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Watchlist entry not found' });
+    }
+
+    await watchlistService.remove(entry.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Watchlist error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/watchlist/:id/run', async (req, res) => {
+  try {
+    const entry = inWorkspace(req, await watchlistService.get(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Watchlist entry not found' });
+    }
+
+    // A run that's already waiting isn't started twice, so it isn't charged twice either
+    if (watchlistService.isQueued(entry.id)) {
+      return res.status(202).json({ success: true, queued: false, scheduler: watchlistService.getStatus(req.auth.workspace) });
+    }
+
+    if (!chargeAnalyses(req, res)) return;
+
+    const queued = watchlistService.enqueue(entry.id, req.auth);
+    res.status(202).json({ success: true, queued, scheduler: watchlistService.getStatus(req.auth.workspace) });
+  } catch (error) {
+    console.error('❌ Watchlist error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({ success: true, data: await alertLog.recent(limit, req.auth.workspace) });
+  } catch (error) {
+    console.error('❌ Alerts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/alerts/rules', async (req, res) => {
+  try {
+    res.json({ success: true, data: await alertService.listRules(req.auth.workspace) });
+  } catch (error) {
+    console.error('❌ Alerts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/alerts/rules', async (req, res) => {
+  try {
+    const validationError = alertService.validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const rule = await alertService.addRule(req.body, req.auth.workspace);
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    console.error('❌ Alerts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    const rule = inWorkspace(req, await alertService.getRule(req.params.id));
+
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    const validationError = alertService.validateRule({ ...rule, ...req.body, type: rule.type });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    res.json({ success: true, data: await alertService.updateRule(rule.id, req.body) });
+  } catch (error) {
+    console.error('❌ Alerts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    const rule = inWorkspace(req, await alertService.getRule(req.params.id));
+
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    await alertService.removeRule(rule.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Alerts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-runs the rules for a saved snapshot against the one before it, e.g. after adding a rule
+app.post('/api/alerts/check/:snapshotId', async (req, res) => {
+  try {
+    const snapshot = await getWorkspaceSnapshot(req, req.params.snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+
+    res.json({ success: true, data: await alertService.check(snapshot) });
+  } catch (error) {
+    console.error('❌ Alerts error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const webhooks = await webhookService.list(req.auth.workspace);
+    res.json({ success: true, data: webhooks.map(w => webhookService.toPublic(w)) });
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const validationError = webhookService.validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // The only response that includes the signing secret
+    const webhook = await webhookService.add(req.body, req.auth.workspace);
+    res.status(201).json({ success: true, data: webhook });
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/webhooks/:id', async (req, res) => {
+  try {
+    const validationError = webhookService.validateWebhook(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const webhook = inWorkspace(req, await webhookService.get(req.params.id));
+
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    res.json({ success: true, data: webhookService.toPublic(await webhookService.update(webhook.id, req.body)) });
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = inWorkspace(req, await webhookService.get(req.params.id));
+
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    await webhookService.remove(webhook.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sends a signed test event and waits for the outcome, retries included
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhook = inWorkspace(req, await webhookService.get(req.params.id));
+
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const delivery = await webhookService.deliver(webhook, 'test', {
+      message: 'PulseInsight test event',
+      webhookId: webhook.id
+    });
+    res.json({ success: delivery.status === 'delivered', data: delivery });
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/keys', async (req, res) => {
+  try {
+    const [keys, quotaByKey] = await Promise.all([apiKeyService.list(), quotaService.getUsageByKey()]);
+    res.json({ success: true, data: keys.map(k => apiKeyService.describe(k, quotaByKey)) });
+  } catch (error) {
+    console.error('❌ API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/keys', async (req, res) => {
+  try {
+    const validationError = apiKeyService.validateKey(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // The only response that includes the key itself
+    const { key, record } = await apiKeyService.issue(req.body);
+    res.status(201).json({ success: true, data: { ...apiKeyService.describe(record), key } });
+  } catch (error) {
+    console.error('❌ API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/admin/keys/:id', async (req, res) => {
+  try {
+    const validationError = apiKeyService.validateKey(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const record = await apiKeyService.update(req.params.id, req.body);
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, data: apiKeyService.describe(record, await quotaService.getUsageByKey()) });
+  } catch (error) {
+    console.error('❌ API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revokes the key and ends its sessions; the record stays for its usage history
+app.delete('/api/admin/keys/:id', async (req, res) => {
+  try {
+    const record = await apiKeyService.revoke(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, data: apiKeyService.describe(record, await quotaService.getUsageByKey()) });
+  } catch (error) {
+    console.error('❌ API key error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Today's requests, analyses and YouTube units per key, and summed per workspace
+app.get('/api/admin/usage', async (req, res) => {
+  try {
+    const [keys, quotaByKey, youtubeQuota] = await Promise.all([
+      apiKeyService.list(),
+      quotaService.getUsageByKey(),
+      quotaService.getUsage()
+    ]);
+    const described = keys.map(k => apiKeyService.describe(k, quotaByKey));
+
+    const workspaces = new Map();
+    described.forEach(key => {
+      const workspace = workspaces.get(key.workspace) || { workspace: key.workspace, activeKeys: 0, requests: 0, analyses: 0, youtubeUnits: 0 };
+      if (!key.revokedAt) workspace.activeKeys++;
+      workspace.requests += key.usageToday.requests;
+      workspace.analyses += key.usageToday.analyses;
+      workspace.youtubeUnits += key.usageToday.youtubeUnits;
+      workspaces.set(key.workspace, workspace);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        youtubeQuota,
+        // Spent with ADMIN_API_KEY, which has no stored record
+        adminKeyYoutubeUnits: (quotaByKey.admin || { units: 0 }).units,
+        workspaces: Array.from(workspaces.values()),
+        keys: described
+      }
+    });
+  } catch (error) {
+    console.error('❌ Usage error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/cache', async (req, res) => {
+  try {
+    res.json({ success: true, data: await cacheService.stats() });
+  } catch (error) {
+    console.error('❌ Cache error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/cache/:type', async (req, res) => {
+  try {
+    if (!cacheService.isValidType(req.params.type)) {
+      return res.status(404).json({ success: false, error: 'Unknown cache type' });
+    }
+
+    res.json({ success: true, data: await cacheService.list(req.params.type) });
+  } catch (error) {
+    console.error('❌ Cache error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/cache', async (req, res) => {
+  try {
+    const removed = await cacheService.purge();
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('❌ Cache error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/cache/:type', async (req, res) => {
+  try {
+    if (!cacheService.isValidType(req.params.type)) {
+      return res.status(404).json({ success: false, error: 'Unknown cache type' });
+    }
+
+    const removed = await cacheService.purge(req.params.type);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('❌ Cache error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+async function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.auth = LOCAL_AUTH;
+    return next();
+  }
+  // The health check and logging in are open
+  if (req.path === '/health' || (req.path === '/session' && req.method === 'POST')) {
+    return next();
+  }
+
+  try {
+    const key = getApiKey(req);
+    const auth = key
+      ? await apiKeyService.authenticate(key)
+      : await apiKeyService.fromSession(getCookie(req, SESSION_COOKIE));
+
+    if (!auth) {
+      return res.status(401).json({ success: false, error: 'A valid API key is required: send "Authorization: Bearer <key>" or log in' });
+    }
+
+    const limit = rateLimitService.take(`${auth.keyId}:requests`, auth.limits.requestsPerMinute, 60 * 1000);
+    if (!applyRateLimit(res, limit)) {
+      return res.status(429).json({ success: false, error: `Rate limit of ${limit.limit} requests per minute exceeded` });
+    }
+
+    apiKeyService.recordUse(auth.keyId, 'requests').catch(error => console.error('❌ Failed to record API key usage:', error.message));
+    req.auth = auth;
+    next();
+  } catch (error) {
+    console.error('❌ Auth error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (req.auth.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'This needs an admin API key' });
+  }
+  next();
+}
+
+// Analyses spend YouTube quota and LLM time, so they have an hourly limit of their own.
+// Routes charge count analyses once the request has passed validation, so a rejected
+// request costs nothing; false means the limit is reached and a 429 has been sent.
+function chargeAnalyses(req, res, count = 1) {
+  const limit = takeAnalyses(req.auth, count);
+  if (!applyRateLimit(res, limit)) {
+    res.status(429).json({ success: false, error: `Limit of ${limit.limit} analyses per hour reached` });
+    return false;
+  }
+  return true;
+}
+
+// Takes count analyses from the key's hourly limit, recording them if they fit
+function takeAnalyses(auth, count = 1) {
+  const limit = rateLimitService.take(`${auth.keyId}:analyses`, auth.limits.analysesPerHour, 60 * 60 * 1000, count);
+  if (limit.allowed && auth.keyId) {
+    apiKeyService.recordUse(auth.keyId, 'analyses', count).catch(error => console.error('❌ Failed to record API key usage:', error.message));
+  }
+  return limit;
+}
+
+// Sets the RateLimit headers; false when the request is over the limit
+function applyRateLimit(res, limit) {
+  if (limit.limit === null) return true;
+
+  const resetSeconds = Math.max(Math.ceil((limit.resetAt - Date.now()) / 1000), 0);
+  res.set('RateLimit-Limit', String(limit.limit));
+  res.set('RateLimit-Remaining', String(limit.remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  if (!limit.allowed) res.set('Retry-After', String(resetSeconds));
+  return limit.allowed;
+}
+
+function getApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.headers['x-api-key'] || null;
+}
+
+function getCookie(req, name) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+// Analyses run for a request are saved to its workspace and spend its key's quota share
+function getScope(req) {
+  return { workspace: req.auth.workspace, auth: req.auth };
+}
+
+// Another workspace's watchlist entries, jobs, rules and webhooks look like they don't exist
+function inWorkspace(req, item) {
+  return item && item.workspace === req.auth.workspace ? item : null;
+}
+
+async function getWorkspaceSnapshot(req, snapshotId) {
+  const snapshot = await historyService.getSnapshot(snapshotId);
+  return snapshot && historyService.workspaceOf(snapshot) === req.auth.workspace ? snapshot : null;
+}
+
+// Sampling options arrive as JSON body fields or as query strings (SSE), so coerce here
+function getSamplingOptions(input) {
+  const sampling = {};
+
+  ['maxVideos', 'maxCommentsPerVideo'].forEach(key => {
+    if (input[key] !== undefined && input[key] !== '') sampling[key] = Number(input[key]);
+  });
+  // Query strings carry booleans as text; anything else is left for validateSampling to reject
+  if (input.includeReplies !== undefined && input.includeReplies !== '') {
+    sampling.includeReplies = { true: true, false: false }[input.includeReplies] ?? input.includeReplies;
+  }
+  ['publishedAfter', 'publishedBefore', 'contentType'].forEach(key => {
+    if (input[key] !== undefined && input[key] !== '') sampling[key] = input[key];
+  });
+
+  return sampling;
+}
+
+// Which analysis stages to run and which prompt variant each uses. JSON bodies send
+// { stages: ["features"], promptVariants: { features: "v2" } }; query strings send
+// stages=features,hooks&promptVariants=features:v2
+function getPipelineOptions(input) {
+  const pipeline = {};
+  const list = value => (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+
+  if (input.stages !== undefined && input.stages !== '') {
+    pipeline.stages = list(input.stages);
+  }
+  if (input.promptVariants !== undefined && input.promptVariants !== '') {
+    pipeline.promptVariants = typeof input.promptVariants === 'object' && !Array.isArray(input.promptVariants)
+      ? input.promptVariants
+      : Object.fromEntries(list(input.promptVariants).map(pair => pair.split(':').map(part => part.trim())));
+  }
+
+  return pipeline;
+}
+
+// Bypasses cached YouTube data and LLM outputs for this request (fresh results are still cached)
+function isForceRefresh(input) {
+  return input.forceRefresh === true || input.forceRefresh === 'true';
+}
+
+// Manual watchlist runs come with the caller's auth, already charged by the route. Scheduled
+// runs spend the quota share and analysis limit of the key that added the entry, and fail
+// once that key is revoked. Entries added with auth off have no key and are not charged.
+async function runWatchlistAnalysis(channelHandle, { workspace, auth, createdBy }) {
+  if (!auth) {
+    auth = createdBy ? await apiKeyService.authFor(createdBy) : LOCAL_AUTH;
+    if (!auth) {
+      throw new Error('The API key that added this entry has been revoked');
+    }
+
+    const limit = takeAnalyses(auth);
+    if (!limit.allowed) {
+      throw new Error(`Limit of ${limit.limit} analyses per hour reached for the API key that added this entry`);
+    }
+  }
+
+  return jobService.run(channelHandle, { workspace, auth });
 }
 
-function getVideoBreakdown(videos) {
-  return videos.map(v => ({
-    title: v.title,
-    publishedAt: v.publishedAt,
-    views: parseInt(v.stats.viewCount || 0),
-    likes: parseInt(v.stats.likeCount || 0),
-    comments: parseInt(v.stats.commentCount || 0),
-    engagementRate: parseInt(v.stats.viewCount) > 0 
-      ? ((parseInt(v.stats.likeCount) / parseInt(v.stats.viewCount)) * 100).toFixed(2)
-      : '0.00',
-    hasTranscript: v.transcript && v.transcript.length > 0,
-    commentCount: v.comments.length
-  })).sort((a, b) => b.views - a.views);
+async function runAnalysis(channelHandle, options = {}) {
+  const { onProgress = () => {} } = options;
+
+  console.log(`\n🎯 Analyzing channel: ${channelHandle}`);
+  console.log('📊 Step 1: Gathering YouTube data...');
+  onProgress({ type: 'stage', stage: 'youtube', status: 'started' });
+
+  const youtubeData = await youtubeService.gatherChannelIntelligence(channelHandle, options);
+  console.log(`✓ Found ${youtubeData.totalVideosAnalyzed} videos with ${youtubeData.totalComments} comments`);
+  onProgress({
+    type: 'stage',
+    stage: 'youtube',
+    status: 'finished',
+    videos: youtubeData.totalVideosAnalyzed,
+    comments: youtubeData.totalComments,
+    transcripts: youtubeData.videos.filter(v => v.transcript).length
+  });
+
+  console.log('🤖 Step 2: Running AI analysis (this may take 30-60 seconds)...');
+  const intelligence = await aiService.generateIntelligence(youtubeData, options);
+  console.log('✓ AI analysis complete!');
+
+  const metrics = metricsService.calculateEnhancedMetrics(youtubeData);
+  const videoBreakdown = metricsService.getVideoBreakdown(youtubeData.videos, intelligence.openingHooks);
+
+  const analysis = {
+    ...intelligence,
+    channelId: youtubeData.channelId,
+    resolvedChannel: youtubeData.resolvedChannel,
+    metrics,
+    channelInfo: youtubeData.channelStats,
+    sampling: youtubeData.sampling,
+    videoBreakdown,
+    hookPerformance: hookAnalysis.correlate(videoBreakdown),
+    titlePatterns: titleAnalytics.analyze(youtubeData.videos)
+  };
+
+  // A failed write shouldn't throw away a finished analysis
+  try {
+    const snapshot = await historyService.saveSnapshot(youtubeData.channelId, analysis, options.workspace);
+    analysis.analysisId = snapshot.id;
+    console.log(`💾 Saved snapshot ${snapshot.id}`);
+
+    // Webhook retries can take a while, so alerts go out without holding up the analysis
+    alertService.check(snapshot)
+      .then(alerts => {
+        if (alerts.length > 0) console.log(`🔔 ${alerts.length} alert${alerts.length === 1 ? '' : 's'} for ${snapshot.channelHandle}`);
+      })
+      .catch(error => console.error('❌ Alert check failed:', error.message));
+  } catch (error) {
+    console.error('❌ Failed to save snapshot:', error.message);
+  }
+
+  return analysis;
 }
 
 app.listen(PORT, () => {
   console.log(`\n🚀 PulseInsight API Server Started!`);
   console.log(`📍 Running on: http://localhost:${PORT}`);
-  console.log(`🤖 AI Provider: Ollama (Local & Free)`);
+  console.log(`🤖 AI Provider: ${aiService.provider.name} (${aiService.provider.model})`);
+  if (fixtureService) console.log(`🎞️  Fixture mode: ${FIXTURE_MODE} (${FIXTURE_DIR})`);
+  if (!AUTH_ENABLED) {
+    console.log('🔓 Auth is off (AUTH_ENABLED=false): anyone who can reach this port can use the API');
+  } else if (!process.env.ADMIN_API_KEY) {
+    console.log('🔐 Auth is on; set ADMIN_API_KEY to issue keys with POST /api/admin/keys');
+  }
   console.log(`📊 Ready to analyze competitors!\n`);
+  watchlistService.start();
 });
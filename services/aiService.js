@@ -1,45 +1,201 @@
-const axios = require('axios');
+const path = require('path');
+const StructuredOutputService = require('./structuredOutputService');
+const AnalysisPipeline = require('./analysisPipeline');
+const PromptService = require('./promptService');
+const TranscriptChunker = require('./transcriptChunker');
+const SentimentService = require('./sentimentService');
+const HookAnalysisService = require('./hookAnalysisService');
+const KeywordService = require('./keywordService');
+const AudienceRequestService = require('./audienceRequestService');
+const { POLARITY_SCORES } = require('./sentimentService');
+const schemas = require('./analysisSchemas');
 
+const MAX_LLM_SCORED_COMMENTS = 200;
+const POLARITY_BATCH_SIZE = 40;
+const HOOK_BATCH_SIZE = 20;
+
+// Every LLM-backed result carries source: "llm" | "fallback" so the UI can flag placeholder data.
+// Sentiment can also be "lexicon" and hooks "heuristic": real results from the deterministic
+// scorers when the LLM is unavailable. Stages a request turns off report "skipped".
 class AIService {
-  constructor() {
-    this.ollamaURL = 'http://localhost:11434/api/generate';
-    this.model = 'llama3.2';
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.cacheService = options.cacheService || null;
+    this.sentiment = new SentimentService();
+    this.keywords = new KeywordService();
+    this.audienceRequests = new AudienceRequestService();
+    this.hookAnalysis = new HookAnalysisService({ windowSeconds: options.hookWindowSeconds });
+    this.chunker = new TranscriptChunker({ maxTokens: options.chunkTokens });
+    this.maxChunksPerVideo = options.maxChunksPerVideo || 12;
+    this.structuredOutput = new StructuredOutputService((prompt, options) => this.callLLM(prompt, options), {
+      maxRepairs: options.maxRepairs
+    });
+    this.prompts = options.promptService || new PromptService(path.join(__dirname, '..', 'prompts'));
+    this.pipeline = new AnalysisPipeline({ concurrency: options.stageConcurrency });
+    this.registerStages();
+  }
+
+  // Renders a stage's prompt in the variant the request picked (options.promptVariants)
+  prompt(stage, template, values, options = {}) {
+    return this.prompts.render(stage, template, (options.promptVariants || {})[stage], values);
+  }
+
+  // LLM outputs are cached by provider, model, temperature and prompt
+  async callLLM(prompt, options = {}) {
+    if (!this.cacheService) {
+      return this.provider.generate(prompt, options);
+    }
+
+    const key = [this.provider.name, this.provider.model, this.provider.temperature, prompt].join('\n');
+    return this.cacheService.wrap('llm', key, () => this.provider.generate(prompt, options), options);
   }
 
-  async callOllama(prompt) {
+  // Map step: one extraction per chunk. Reduce step: chunk results merged into one
+  // summary and topic list per video. Once a call fails the rest of the run skips the
+  // LLM rather than waiting out retries on every remaining chunk.
+  async summarizeTranscripts(videoData, options = {}) {
+    const summaries = [];
+    const state = { llmAvailable: true };
+
+    for (const video of videoData) {
+      if (options.signal) options.signal.throwIfAborted();
+      if (!video.transcript || !state.llmAvailable) continue;
+
+      const summary = await this.summarizeVideo(video, state, options);
+      if (summary) summaries.push(summary);
+    }
+
+    return summaries;
+  }
+
+  async summarizeVideo(video, state, options = {}) {
+    const allChunks = this.chunker.chunk(video.transcript);
+    const chunks = allChunks.slice(0, this.maxChunksPerVideo);
+    if (allChunks.length > chunks.length) {
+      console.log(`Transcript for ${video.videoId} has ${allChunks.length} chunks, analyzing the first ${chunks.length}`);
+    }
+
+    const parts = [];
+    for (let i = 0; i < chunks.length; i++) {
+      try {
+        const prompt = this.prompt('transcripts', 'chunk', { part: i + 1, total: chunks.length, title: video.title, chunk: chunks[i] }, options);
+
+        const { data } = await this.structuredOutput.generate(prompt, schemas.transcriptSummary, 'transcript chunk', options);
+        parts.push(data);
+      } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
+        console.error(`Transcript chunk error (${video.videoId}):`, error.message);
+        state.llmAvailable = false;
+        break;
+      }
+    }
+
+    if (parts.length === 0) return null;
+
+    const base = { videoId: video.videoId, title: video.title, chunks: chunks.length, chunksAnalyzed: parts.length };
+    if (parts.length === 1) return { ...base, ...parts[0] };
+
     try {
-      const response = await axios.post(this.ollamaURL, {
-        model: this.model,
-        prompt: prompt,
-        stream: false
-      });
-      return response.data.response;
+      const prompt = this.prompt('transcripts', 'merge', {
+        title: video.title,
+        parts: parts.map((part, i) => `Part ${i + 1}: ${part.summary}\nTopics: ${part.topics.join(', ')}`).join('\n\n')
+      }, options);
+
+      const { data } = await this.structuredOutput.generate(prompt, schemas.transcriptSummary, 'video summary', options);
+      return { ...base, ...data };
     } catch (error) {
-      throw new Error(`Ollama error: ${error.message}`);
+      if (options.signal && options.signal.aborted) throw error;
+      console.error(`Video summary error (${video.videoId}):`, error.message);
     }
+
+    return { ...base, ...this.mergeSummaries(parts) };
   }
 
-  async analyzeFeatures(transcripts, videoData) {
-    const combinedTranscripts = transcripts.filter(t => t !== null && t !== '').join('\n\n');
+  // Deterministic reduce: summaries concatenated, topics ranked by how many parts mention them
+  mergeSummaries(parts) {
+    const topicCounts = new Map();
+    parts.forEach(part => part.topics.forEach(topic => {
+      const key = topic.toLowerCase().trim();
+      const entry = topicCounts.get(key) || { topic, count: 0 };
+      entry.count++;
+      topicCounts.set(key, entry);
+    }));
+
+    return {
+      summary: parts.map(part => part.summary).join(' '),
+      topics: Array.from(topicCounts.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10)
+        .map(entry => entry.topic)
+    };
+  }
 
-    if (!combinedTranscripts) {
+  // Channel-level synthesis over the per-video summaries. Each feature cites the videos it came from.
+  async analyzeFeatures(videoSummaries, videoData, options = {}) {
+    if (videoSummaries.length === 0) {
       console.log('Using video titles for feature analysis');
       return this.extractFeaturesFromTitles(videoData);
     }
 
-    try {
-      const prompt = `Find 5 key topics from these transcripts. Return JSON: [{"feature":"name","category":"New","confidence":"high"}]
+    // Keep the synthesis prompt within two chunks' budget; videos past it are left out
+    const budget = this.chunker.maxTokens * 2;
+    const entries = [];
+    let used = 0;
+    for (const [i, summary] of videoSummaries.entries()) {
+      const entry = `[${i + 1}] ${summary.title}\nSummary: ${summary.summary}\nTopics: ${summary.topics.join(', ')}`;
+      used += this.chunker.estimateTokens(entry);
+      if (used > budget && entries.length > 0) break;
+      entries.push(entry);
+    }
 
-${combinedTranscripts.substring(0, 2000)}`;
+    try {
+      const prompt = this.prompt('features', 'synthesis', { count: entries.length, videos: entries.join('\n\n') }, options);
 
-      const response = await this.callOllama(prompt);
-      const jsonMatch = response.match(/\[[\s\S]*?\]/);
-      if (jsonMatch) return JSON.parse(jsonMatch[0]);
+      const { data } = await this.structuredOutput.generate(prompt, schemas.features, 'features', options);
+      return data.map(({ videos = [], ...feature }) => ({
+        ...feature,
+        videos: this.citeVideos(videos, videoSummaries.slice(0, entries.length)),
+        source: 'llm'
+      }));
     } catch (error) {
+      if (options.signal && options.signal.aborted) throw error;
       console.error('Feature error:', error.message);
     }
-    
-    return this.extractFeaturesFromTitles(videoData);
+
+    return this.featuresFromSummaries(videoSummaries);
+  }
+
+  citeVideos(labels, videoSummaries) {
+    const cited = new Set(labels.filter(label => Number.isInteger(label) && label >= 1 && label <= videoSummaries.length));
+    return Array.from(cited).map(label => ({
+      videoId: videoSummaries[label - 1].videoId,
+      title: videoSummaries[label - 1].title
+    }));
+  }
+
+  // When synthesis fails the per-video topics are still real, so rank them by how many videos
+  // cover them. They are marked 'derived': from LLM summaries, but not an LLM's synthesis.
+  featuresFromSummaries(videoSummaries) {
+    const topics = new Map();
+    videoSummaries.forEach(summary => summary.topics.forEach(topic => {
+      const key = topic.toLowerCase().trim();
+      const entry = topics.get(key) || { feature: topic, videos: [] };
+      if (!entry.videos.some(v => v.videoId === summary.videoId)) {
+        entry.videos.push({ videoId: summary.videoId, title: summary.title });
+      }
+      topics.set(key, entry);
+    }));
+
+    return Array.from(topics.values())
+      .sort((a, b) => b.videos.length - a.videos.length)
+      .slice(0, 5)
+      .map(entry => ({
+        feature: entry.feature,
+        category: "Detected",
+        confidence: entry.videos.length >= 3 ? "high" : entry.videos.length === 2 ? "medium" : "low",
+        videos: entry.videos,
+        source: "derived"
+      }));
   }
 
   extractFeaturesFromTitles(videoData) {
@@ -53,133 +209,310 @@ ${combinedTranscripts.substring(0, 2000)}`;
     return Array.from(keywords).slice(0, 5).map(k => ({
       feature: k,
       category: "Detected",
-      confidence: "medium"
+      confidence: "medium",
+      source: "fallback"
     }));
   }
 
-  async analyzeSentiment(comments) {
-    if (!comments || comments.length < 5) {
+  // Every comment gets a lexicon score; the most-liked ones are then re-scored by the LLM
+  // in batches. If the LLM fails, the remaining comments keep their lexicon score.
+  async scoreComments(comments, options = {}) {
+    const scored = this.sentiment.scoreComments(comments);
+    const toScore = scored
+      .map((comment, index) => ({ comment, index }))
+      .sort((a, b) => b.comment.likeCount - a.comment.likeCount)
+      .slice(0, MAX_LLM_SCORED_COMMENTS);
+
+    for (let i = 0; i < toScore.length; i += POLARITY_BATCH_SIZE) {
+      const batch = toScore.slice(i, i + POLARITY_BATCH_SIZE);
+      const numbered = batch.map(({ comment }, n) => `${n + 1}. ${comment.text.replace(/\s+/g, ' ').substring(0, 200)}`).join('\n');
+
+      try {
+        const prompt = this.prompt('commentScoring', 'polarity', { comments: numbered }, options);
+
+        const { data } = await this.structuredOutput.generate(prompt, schemas.commentPolarity, 'comment polarity', options);
+        data.forEach(({ id, polarity }) => {
+          const entry = batch[id - 1];
+          if (entry) scored[entry.index] = { ...scored[entry.index], polarity, score: POLARITY_SCORES[polarity], scoredBy: 'llm' };
+        });
+      } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
+        console.error('Comment polarity error:', error.message);
+        break;
+      }
+    }
+
+    return scored;
+  }
+
+  async analyzeSentiment(scoredComments, options = {}) {
+    if (!scoredComments || scoredComments.length === 0) {
       return {
-        complaints: [
-          { text: "Limited engagement data", frequency: "medium" },
-          { text: "Low comment activity", frequency: "low" },
-          { text: "Check community settings", frequency: "low" }
-        ],
-        mostRequestedFeature: "More data needed"
+        ...this.sentiment.summarize([]),
+        complaints: [],
+        mostRequestedFeature: null,
+        scoredBy: { llm: 0, lexicon: 0 },
+        source: "fallback"
       };
     }
 
-    const commentTexts = comments.map(c => c.text).join('\n').substring(0, 2000);
+    const summary = this.sentiment.summarize(scoredComments);
+    const llmScored = scoredComments.filter(c => c.scoredBy === 'llm').length;
+    const scoredBy = { llm: llmScored, lexicon: scoredComments.length - llmScored };
 
-    try {
-      const prompt = `Find common themes in comments. Return JSON: {"complaints":[{"text":"theme","frequency":"high"}],"mostRequestedFeature":"feature"}
+    // Without the LLM, complaints are the themes whose comments are mostly negative
+    let complaints = summary.themes
+      .filter(theme => theme.polarity === 'negative')
+      .slice(0, 5)
+      .map(theme => ({ text: theme.theme, frequency: theme.share >= 20 ? 'high' : theme.share >= 5 ? 'medium' : 'low' }));
+    let mostRequestedFeature = null;
+    let source = llmScored > 0 ? 'llm' : 'lexicon';
 
-${commentTexts}`;
+    if (scoredComments.length >= 5) {
+      // Most-liked first, so the window holds the comments the audience agreed with most
+      const commentTexts = [...scoredComments]
+        .sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0))
+        .map(c => c.text)
+        .join('\n')
+        .substring(0, 2000);
 
-      const response = await this.callOllama(prompt);
-      const jsonMatch = response.match(/\{[\s\S]*?\}/);
-      if (jsonMatch) {
-        const data = JSON.parse(jsonMatch[0]);
-        while (data.complaints.length < 3) {
-          data.complaints.push({ text: "Positive sentiment", frequency: "low" });
-        }
-        return data;
+      try {
+        const prompt = this.prompt('sentiment', 'themes', { comments: commentTexts }, options);
+
+        const { data } = await this.structuredOutput.generate(prompt, schemas.sentiment, 'sentiment', options);
+        complaints = data.complaints;
+        mostRequestedFeature = data.mostRequestedFeature;
+        source = 'llm';
+      } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
+        console.error('Sentiment error:', error.message);
       }
-    } catch (error) {
-      console.error('Sentiment error:', error.message);
     }
 
-    return {
-      complaints: [
-        { text: "Positive audience response", frequency: "high" },
-        { text: "Strong engagement", frequency: "medium" },
-        { text: "Active community", frequency: "low" }
-      ],
-      mostRequestedFeature: "Similar content"
-    };
+    return { ...summary, complaints, mostRequestedFeature, scoredBy, source };
   }
 
-  async analyzeHooks(videoData) {
-    const titles = videoData.map(v => v.title.toLowerCase());
-    
-    if (titles.some(t => t.includes('challenge') || t.includes('$'))) {
-      return {
-        primaryHook: "Entertainment & Spectacle",
-        secondaryHooks: ["FOMO", "Curiosity"],
-        strategy: "Viral content with high production value"
-      };
+  // Classifies how each video opens, from the transcript's first seconds. Heuristic labels
+  // are computed first and replaced by the LLM's where it answers.
+  async analyzeOpeningHooks(videoData, options = {}) {
+    const hooks = videoData
+      .map(video => this.hookAnalysis.extractOpening(video))
+      .filter(Boolean)
+      .map(opening => ({
+        videoId: opening.videoId,
+        title: opening.title,
+        ...this.hookAnalysis.classify(opening.text),
+        summary: null,
+        opening: opening.text.length > 300 ? `${opening.text.substring(0, 297)}...` : opening.text,
+        url: opening.segments[0].url,
+        segments: opening.segments,
+        source: 'heuristic'
+      }));
+
+    for (let i = 0; i < hooks.length; i += HOOK_BATCH_SIZE) {
+      const batch = hooks.slice(i, i + HOOK_BATCH_SIZE);
+      const numbered = batch.map((hook, n) => `${n + 1}. "${hook.title}": ${hook.opening.substring(0, 400)}`).join('\n');
+
+      try {
+        const prompt = this.prompt('openingHooks', 'classify', { seconds: this.hookAnalysis.windowSeconds, openings: numbered }, options);
+
+        const { data } = await this.structuredOutput.generate(prompt, schemas.openingHooks, 'opening hooks', options);
+        data.forEach(({ id, style, summary }) => {
+          const hook = batch[id - 1];
+          if (hook) Object.assign(hook, { style, confidence: 'high', summary, source: 'llm' });
+        });
+      } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
+        console.error('Opening hook error:', error.message);
+        break;
+      }
     }
 
-    const summaries = videoData.map(v => v.title).join('\n').substring(0, 1500);
+    return hooks;
+  }
 
-    try {
-      const prompt = `What's the main emotional hook? Return JSON: {"primaryHook":"hook","secondaryHooks":["h1"],"strategy":"desc"}
+  async analyzeHooks(videoData, openingHooks = [], options = {}) {
+    const hooksByVideo = new Map(openingHooks.map(hook => [hook.videoId, hook]));
+    const summaries = videoData.map(v => {
+      const hook = hooksByVideo.get(v.videoId);
+      return hook ? `${v.title}\n  Opens with (${hook.style}): ${hook.opening.substring(0, 150)}` : v.title;
+    }).join('\n').substring(0, 3000);
 
-Titles:
-${summaries}`;
+    try {
+      const prompt = this.prompt('hooks', 'summary', { videos: summaries }, options);
 
-      const response = await this.callOllama(prompt);
-      const jsonMatch = response.match(/\{[\s\S]*?\}/);
-      if (jsonMatch) return JSON.parse(jsonMatch[0]);
+      const { data } = await this.structuredOutput.generate(prompt, schemas.hooks, 'hooks', options);
+      return { ...data, source: 'llm' };
     } catch (error) {
+      if (options.signal && options.signal.aborted) throw error;
       console.error('Hook error:', error.message);
     }
 
+    if (openingHooks.length > 0) {
+      return this.hooksFromOpenings(openingHooks);
+    }
+
     return {
-      primaryHook: "Viewer Entertainment",
-      secondaryHooks: ["Engagement"],
-      strategy: "Audience retention focus"
+      primaryHook: "Unable to determine",
+      secondaryHooks: [],
+      strategy: "Unable to determine",
+      source: "fallback"
     };
   }
 
-  async extractKeywords(transcripts, videoData) {
-    const text = videoData.map(v => `${v.title} ${v.description}`).join(' ');
-    const words = text.toLowerCase().split(/\s+/);
-    const wordCount = {};
-    
-    words.forEach(word => {
-      if (word.length > 4 && !['video', 'watch', 'subscribe'].includes(word)) {
-        wordCount[word] = (wordCount[word] || 0) + 1;
-      }
+  // Channel-level summary built from how the sampled videos open
+  hooksFromOpenings(openingHooks) {
+    const counts = {};
+    openingHooks.forEach(hook => { counts[hook.style] = (counts[hook.style] || 0) + 1; });
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const [primary, primaryCount] = ranked[0];
+    const label = style => `${style.charAt(0).toUpperCase()}${style.slice(1)} opening`;
+
+    return {
+      primaryHook: label(primary),
+      secondaryHooks: ranked.slice(1).map(([style]) => label(style)),
+      strategy: `${Math.round((primaryCount / openingHooks.length) * 100)}% of videos with transcripts open with a ${primary} hook`,
+      source: "heuristic"
+    };
+  }
+
+  extractKeywords(videoData) {
+    return this.keywords.extract(videoData);
+  }
+
+  // Distributions and themes per video from the already-scored comments; no extra LLM calls
+  analyzeVideoSentiment(videoData, scoredComments) {
+    return videoData.map(video => {
+      const comments = scoredComments.filter(c => c.videoId === video.videoId);
+      const { distribution, themes, examples } = this.sentiment.summarize(comments, { maxThemes: 3 });
+      return { videoId: video.videoId, title: video.title, distribution, themes, examples };
     });
+  }
 
-    const topWords = Object.entries(wordCount)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 12)
-      .map(([word, count]) => ({
-        keyword: word,
-        importance: count > 5 ? "high" : count > 2 ? "medium" : "low"
-      }));
+  // The built-in stages. Each reads the gathered YouTube data plus the results of the
+  // stages it depends on; commentScoring feeds the sentiment stages and isn't returned.
+  registerStages() {
+    const skippedSentiment = () => ({
+      ...this.sentiment.summarize([]),
+      complaints: [],
+      mostRequestedFeature: null,
+      scoredBy: { llm: 0, lexicon: 0 },
+      source: 'skipped'
+    });
+    const skippedHooks = () => ({ primaryHook: 'Not analyzed', secondaryHooks: [], strategy: 'Not analyzed', source: 'skipped' });
+
+    [
+      {
+        name: 'transcripts',
+        output: 'videoSummaries',
+        run: ({ youtubeData }, options) => this.summarizeTranscripts(youtubeData.videos, options),
+        skipped: () => []
+      },
+      {
+        name: 'features',
+        dependsOn: ['transcripts'],
+        run: ({ youtubeData, transcripts }, options) => this.analyzeFeatures(transcripts, youtubeData.videos, options),
+        skipped: () => []
+      },
+      {
+        name: 'commentScoring',
+        output: null,
+        run: ({ youtubeData }, options) => this.scoreComments(
+          youtubeData.videos.flatMap(v => v.comments.map(c => ({ ...c, videoId: v.videoId }))),
+          options
+        )
+      },
+      {
+        name: 'sentiment',
+        dependsOn: ['commentScoring'],
+        run: ({ commentScoring }, options) => this.analyzeSentiment(commentScoring, options),
+        skipped: skippedSentiment
+      },
+      {
+        name: 'videoSentiment',
+        dependsOn: ['commentScoring'],
+        run: async ({ youtubeData, commentScoring }) => this.analyzeVideoSentiment(youtubeData.videos, commentScoring),
+        skipped: () => []
+      },
+      {
+        name: 'openingHooks',
+        run: ({ youtubeData }, options) => this.analyzeOpeningHooks(youtubeData.videos, options),
+        skipped: () => []
+      },
+      {
+        name: 'hooks',
+        dependsOn: ['openingHooks'],
+        run: ({ youtubeData, openingHooks }, options) => this.analyzeHooks(youtubeData.videos, openingHooks, options),
+        skipped: skippedHooks
+      },
+      {
+        name: 'keywords',
+        run: async ({ youtubeData }) => this.extractKeywords(youtubeData.videos),
+        skipped: () => []
+      },
+      {
+        name: 'audienceRequests',
+        run: async ({ youtubeData }) => this.audienceRequests.extract(youtubeData.videos),
+        skipped: () => []
+      }
+    ].forEach(stage => this.registerStage(stage));
+  }
+
+  // Extension point for new analyses; see AnalysisPipeline for the stage shape
+  registerStage(stage) {
+    this.pipeline.register(stage);
+  }
+
+  // Returns an error message for unknown stage names or prompt variants, or null
+  validatePipelineOptions({ stages, promptVariants } = {}) {
+    if (stages !== undefined) {
+      if (!Array.isArray(stages) || stages.length === 0) return 'stages must be a non-empty list of stage names';
+      const error = this.pipeline.validate(stages);
+      if (error) return error;
+    }
+
+    for (const [stage, variant] of Object.entries(promptVariants || {})) {
+      // "features" with no colon parses to { features: undefined }
+      if (!stage || typeof variant !== 'string' || !variant) {
+        return 'promptVariants entries must look like stage:variant, e.g. features:v2';
+      }
+      if (!this.prompts.hasVariant(stage, variant)) {
+        const available = this.prompts.variants(stage);
+        return available.length > 0
+          ? `Unknown prompt variant "${variant}" for ${stage}. Use one of: ${available.join(', ')}`
+          : `Stage ${stage} has no prompt variants`;
+      }
+    }
 
-    return topWords.length > 0 ? topWords : [{ keyword: "content", importance: "medium" }];
+    return null;
   }
 
-  async generateIntelligence(youtubeData) {
+  async generateIntelligence(youtubeData, options = {}) {
     try {
-      console.log('Starting AI intelligence generation with Ollama (local & free)...');
-      
-      const transcripts = youtubeData.videos.map(v => v.transcript);
-      const allComments = youtubeData.videos.flatMap(v => v.comments);
+      console.log(`Starting AI intelligence generation with ${this.provider.name} (${this.provider.model})...`);
 
-      console.log(`Processing ${transcripts.length} transcripts and ${allComments.length} comments...`);
+      const commentCount = youtubeData.videos.reduce((sum, v) => sum + v.comments.length, 0);
+      console.log(`Processing ${youtubeData.videos.length} transcripts and ${commentCount} comments...`);
 
-      const features = await this.analyzeFeatures(transcripts, youtubeData.videos);
-      const sentiment = await this.analyzeSentiment(allComments);
-      const hooks = await this.analyzeHooks(youtubeData.videos);
-      const keywords = await this.extractKeywords(transcripts, youtubeData.videos);
+      const { output, enabled, skipped } = await this.pipeline.run({ youtubeData }, options);
 
       console.log('AI analysis complete!');
 
       return {
         channelHandle: youtubeData.channelHandle,
         analyzedAt: new Date().toISOString(),
-        features,
-        sentiment,
-        hooks,
-        keywords,
+        ...output,
         metadata: {
           videosAnalyzed: youtubeData.totalVideosAnalyzed,
-          commentsAnalyzed: youtubeData.totalComments
+          commentsAnalyzed: youtubeData.totalComments,
+          stages: enabled,
+          skippedStages: skipped,
+          // Which template version produced each stage's prompts, for stages that use the LLM
+          promptVariants: Object.fromEntries(
+            enabled
+              .filter(stage => this.prompts.variants(stage).length > 0)
+              .map(stage => [stage, (options.promptVariants || {})[stage] || PromptService.DEFAULT_VARIANT])
+          )
         }
       };
     } catch (error) {
@@ -0,0 +1,53 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_WORKSPACE } = require('./apiKeyService');
+
+const MAX_RECENT = 200;
+
+// Appends every alert as one JSON line to a local file, so alerts can be checked
+// without a webhook receiver and read back through the API
+class AlertLogSink {
+  constructor(file) {
+    this.file = file;
+    this.writing = Promise.resolve();
+  }
+
+  send(alert) {
+    // Chained so concurrent alerts land as whole lines
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, `${JSON.stringify(alert)}\n`);
+      });
+    return this.writing;
+  }
+
+  // Newest first, of one workspace when given; a torn last line is skipped rather than
+  // failing the read
+  async recent(limit = 50, workspace = null) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return raw
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(alert => alert && (!workspace || (alert.workspace || DEFAULT_WORKSPACE) === workspace))
+      .reverse()
+      .slice(0, Math.min(limit, MAX_RECENT));
+  }
+}
+
+module.exports = AlertLogSink;
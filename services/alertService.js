@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_WORKSPACE } = require('./apiKeyService');
+const PerformanceAnalyticsService = require('./performanceAnalyticsService');
+
+// What each rule watches for between a channel's previous snapshot and the new one
+const RULE_TYPES = ['metricChange', 'videoOutlier', 'newComplaint'];
+// Numeric calculateEnhancedMetrics fields a metricChange rule can watch
+const METRICS = [
+  'subscriberCount', 'totalChannelViews', 'totalChannelVideos', 'avgViews', 'avgViewsPerDay',
+  'medianViewsPerDay', 'viewsTrend', 'avgLikes', 'engagementRate', 'avgComments', 'commentRate',
+  'uploadFrequency', 'transcriptAvailability'
+];
+const DIRECTIONS = ['up', 'down', 'any'];
+// percent compares the percent change; absolute compares the raw difference (e.g. engagement points)
+const UNITS = ['percent', 'absolute'];
+const DEFAULT_THRESHOLDS = { metricChange: 20, videoOutlier: 3 };
+
+class AlertService {
+  constructor(dataDir, historyService, options = {}) {
+    this.file = path.join(dataDir, 'alerts.json');
+    this.historyService = historyService;
+    this.performanceAnalytics = new PerformanceAnalyticsService();
+    // Anything with send(alert): the webhook dispatcher, the local log, ...
+    this.sinks = options.sinks || [];
+    this.rules = [];
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.file, 'utf8')
+        .then(raw => {
+          // Rules saved before workspaces existed belong to the default one
+          this.rules = JSON.parse(raw).map(r => ({ workspace: DEFAULT_WORKSPACE, ...r }));
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          this.rules = [];
+        });
+    }
+    return this.loaded;
+  }
+
+  save() {
+    // Chain writes so two quick updates can't interleave on disk
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.rules, null, 2));
+      });
+    return this.saving;
+  }
+
+  // Checks a whole rule, so updates are validated merged onto the stored rule
+  validateRule(fields) {
+    if (!RULE_TYPES.includes(fields.type)) {
+      return `Type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+    if (fields.name !== undefined && fields.name !== null && typeof fields.name !== 'string') {
+      return 'Name must be a string';
+    }
+    if (fields.channelId !== undefined && fields.channelId !== null && !this.historyService.isValidChannelId(fields.channelId)) {
+      return 'Channel ID must be a YouTube channel ID, or null for every channel';
+    }
+    if (fields.type === 'metricChange') {
+      if (!METRICS.includes(fields.metric)) {
+        return `Metric must be one of: ${METRICS.join(', ')}`;
+      }
+      if (fields.direction !== undefined && !DIRECTIONS.includes(fields.direction)) {
+        return `Direction must be one of: ${DIRECTIONS.join(', ')}`;
+      }
+      if (fields.unit !== undefined && !UNITS.includes(fields.unit)) {
+        return `Unit must be one of: ${UNITS.join(', ')}`;
+      }
+    }
+    if (fields.threshold !== undefined && fields.type !== 'newComplaint' && !(typeof fields.threshold === 'number' && fields.threshold > 0)) {
+      return 'Threshold must be a positive number';
+    }
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+      return 'Enabled must be true or false';
+    }
+    return null;
+  }
+
+  // Every workspace's rules unless one is given
+  async listRules(workspace = null) {
+    await this.load();
+    return workspace ? this.rules.filter(r => r.workspace === workspace) : this.rules;
+  }
+
+  async getRule(id) {
+    await this.load();
+    return this.rules.find(r => r.id === id) || null;
+  }
+
+  async addRule(fields, workspace = DEFAULT_WORKSPACE) {
+    await this.load();
+
+    const rule = {
+      id: crypto.randomUUID(),
+      workspace,
+      name: fields.name || null,
+      type: fields.type,
+      channelId: fields.channelId || null,
+      threshold: fields.type === 'newComplaint' ? null : fields.threshold || DEFAULT_THRESHOLDS[fields.type],
+      enabled: fields.enabled !== undefined ? fields.enabled : true,
+      createdAt: new Date().toISOString(),
+      lastTriggeredAt: null
+    };
+    if (fields.type === 'metricChange') {
+      rule.metric = fields.metric;
+      rule.direction = fields.direction || 'any';
+      rule.unit = fields.unit || 'percent';
+    }
+
+    this.rules.push(rule);
+    await this.save();
+    return rule;
+  }
+
+  async updateRule(id, fields) {
+    const rule = await this.getRule(id);
+    if (!rule) return null;
+
+    // The type is fixed once created, and so are the fields that don't apply to it
+    const keys = ['name', 'channelId', 'enabled'];
+    if (rule.type !== 'newComplaint') keys.push('threshold');
+    if (rule.type === 'metricChange') keys.push('metric', 'direction', 'unit');
+    keys.forEach(key => {
+      if (fields[key] !== undefined) rule[key] = fields[key];
+    });
+
+    await this.save();
+    return rule;
+  }
+
+  async removeRule(id) {
+    await this.load();
+    const index = this.rules.findIndex(r => r.id === id);
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  // The channel's snapshot taken just before this one in the same workspace
+  async previousSnapshot(snapshot) {
+    const snapshots = await this.historyService.listSnapshots(snapshot.channelId, this.historyService.workspaceOf(snapshot));
+    const previous = snapshots.find(s => s.id !== snapshot.id && s.createdAt <= snapshot.createdAt);
+    return previous ? this.historyService.getSnapshot(previous.id) : null;
+  }
+
+  // Runs the workspace's enabled rules for the snapshot's channel against its previous
+  // snapshot and hands every alert to the sinks. A first analysis has nothing to compare,
+  // so no alerts.
+  async check(snapshot) {
+    await this.load();
+    const workspace = this.historyService.workspaceOf(snapshot);
+    const rules = this.rules.filter(r => r.enabled && r.workspace === workspace && (!r.channelId || r.channelId === snapshot.channelId));
+    if (rules.length === 0) return [];
+
+    const previous = await this.previousSnapshot(snapshot);
+    if (!previous) return [];
+
+    const diff = this.historyService.diffSnapshots(previous, snapshot);
+    const triggeredAt = new Date().toISOString();
+    const alerts = [];
+
+    rules.forEach(rule => {
+      const found = this.evaluate(rule, diff, previous, snapshot);
+      if (found.length > 0) rule.lastTriggeredAt = triggeredAt;
+
+      found.forEach(({ message, details }) => alerts.push({
+        id: crypto.randomUUID(),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        type: rule.type,
+        workspace,
+        channelId: snapshot.channelId,
+        channelHandle: snapshot.channelHandle,
+        channelName: snapshot.channelName,
+        snapshotId: snapshot.id,
+        previousSnapshotId: previous.id,
+        message: `${snapshot.channelName}: ${message}`,
+        details,
+        triggeredAt
+      }));
+    });
+
+    if (alerts.length > 0) {
+      await this.save();
+      await this.notify(alerts);
+    }
+    return alerts;
+  }
+
+  // Each rule yields zero or more { message, details }
+  evaluate(rule, diff, previous, snapshot) {
+    if (rule.type === 'metricChange') {
+      const change = diff.metrics[rule.metric];
+      if (!change) return [];
+
+      const amount = rule.unit === 'absolute' ? change.delta : change.percentChange;
+      if (amount === null) return [];
+
+      const triggered = rule.direction === 'up' ? amount >= rule.threshold
+        : rule.direction === 'down' ? amount <= -rule.threshold
+          : Math.abs(amount) >= rule.threshold;
+      if (!triggered) return [];
+
+      const size = rule.unit === 'absolute' ? `${Math.abs(change.delta)}` : `${Math.abs(change.percentChange)}%`;
+      return [{
+        message: `${rule.metric} ${change.delta < 0 ? 'fell' : 'rose'} ${size} (${change.from} → ${change.to})`,
+        details: { metric: rule.metric, ...change }
+      }];
+    }
+
+    if (rule.type === 'videoOutlier') {
+      // A young video's views/day is inflated, so it only counts once it's old enough to be
+      // flagged as an outlier; it alerts in the first snapshot where it qualifies
+      const isBreakout = (video, takenAt) => video.performanceRatio !== null &&
+        video.performanceRatio >= rule.threshold &&
+        this.performanceAnalytics.isMature(video, new Date(takenAt));
+      const alerted = new Set((previous.analysis.videoBreakdown || [])
+        .filter(v => isBreakout(v, previous.createdAt))
+        .map(v => v.videoId));
+      return (snapshot.analysis.videoBreakdown || [])
+        .filter(v => !alerted.has(v.videoId) && isBreakout(v, snapshot.createdAt))
+        .map(v => ({
+          message: `new video "${v.title}" is at ${v.performanceRatio}x the channel's median views/day`,
+          details: { videoId: v.videoId, title: v.title, views: v.views, viewsPerDay: v.viewsPerDay, performanceRatio: v.performanceRatio }
+        }));
+    }
+
+    if (rule.type === 'newComplaint') {
+      const added = diff.complaints.added;
+      if (added.length === 0) return [];
+
+      const complaints = ((snapshot.analysis.sentiment || {}).complaints || []).filter(c => added.includes(c.text));
+      return [{
+        message: `new complaint theme${added.length === 1 ? '' : 's'}: ${added.join('; ')}`,
+        details: { complaints }
+      }];
+    }
+
+    return [];
+  }
+
+  // One failing sink doesn't stop the others
+  async notify(alerts) {
+    await Promise.all(this.sinks.map(async sink => {
+      for (const alert of alerts) {
+        try {
+          await sink.send(alert);
+        } catch (error) {
+          console.error(`❌ Alert sink failed for ${alert.id}:`, error.message);
+        }
+      }
+    }));
+  }
+}
+
+module.exports = AlertService;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.METRICS = METRICS;
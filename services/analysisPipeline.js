@@ -0,0 +1,115 @@
+// Runs registered analysis stages as a dependency graph. Each stage starts as soon as the
+// stages it depends on have finished, so independent stages run side by side, up to
+// `concurrency` at a time. Stages a request turns off don't run unless an enabled stage
+// needs them; their output is the stage's `skipped()` value instead.
+//
+// A stage is { name, dependsOn?, output?, run(inputs, options), skipped?() } where inputs
+// holds the pipeline input plus the results of the stage's dependencies, and output names
+// the key the result is returned under (null keeps it internal).
+class AnalysisPipeline {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || Infinity;
+    this.stages = new Map();
+  }
+
+  register(stage) {
+    if (this.stages.has(stage.name)) {
+      throw new Error(`Stage ${stage.name} is already registered`);
+    }
+    (stage.dependsOn || []).forEach(dependency => {
+      if (!this.stages.has(dependency)) {
+        throw new Error(`Stage ${stage.name} depends on unknown stage ${dependency}`);
+      }
+    });
+
+    this.stages.set(stage.name, { dependsOn: [], output: stage.name, skipped: () => null, ...stage });
+    return this;
+  }
+
+  names() {
+    return Array.from(this.stages.keys());
+  }
+
+  describe() {
+    return this.names().map(name => ({ name, dependsOn: this.stages.get(name).dependsOn }));
+  }
+
+  // Returns an error message for unknown stage names, or null
+  validate(stageNames) {
+    const unknown = stageNames.filter(name => !this.stages.has(name));
+    return unknown.length > 0
+      ? `Unknown analysis stage${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Use any of: ${this.names().join(', ')}`
+      : null;
+  }
+
+  // The requested stages plus everything they depend on, in registration order
+  resolve(stageNames = this.names()) {
+    const needed = new Set();
+    const add = name => {
+      if (needed.has(name)) return;
+      needed.add(name);
+      this.stages.get(name).dependsOn.forEach(add);
+    };
+    stageNames.forEach(add);
+    return this.names().filter(name => needed.has(name));
+  }
+
+  async run(input, options = {}) {
+    const { onProgress = () => {}, signal } = options;
+    const enabled = this.resolve(options.stages || this.names());
+    const results = {};
+    const running = new Map();
+    const slots = this.createLimiter();
+
+    const start = name => {
+      if (!running.has(name)) {
+        const stage = this.stages.get(name);
+        running.set(name, Promise.all(stage.dependsOn.map(start)).then(() => slots(async () => {
+          if (signal) signal.throwIfAborted();
+
+          onProgress({ type: 'stage', stage: name, status: 'started' });
+          const inputs = { ...input };
+          stage.dependsOn.forEach(dependency => { inputs[dependency] = results[dependency]; });
+          const result = await stage.run(inputs, options);
+
+          const source = Array.isArray(result) ? (result[0] && result[0].source) : result && result.source;
+          onProgress({ type: 'stage', stage: name, status: 'finished', source: source || null });
+          results[name] = result;
+        })));
+      }
+      return running.get(name);
+    };
+
+    await Promise.all(enabled.map(start));
+
+    const output = {};
+    this.stages.forEach((stage, name) => {
+      if (stage.output) output[stage.output] = enabled.includes(name) ? results[name] : stage.skipped();
+    });
+
+    return { output, enabled, skipped: this.names().filter(name => !enabled.includes(name)) };
+  }
+
+  // Runs at most `concurrency` tasks at once; the rest wait their turn
+  createLimiter() {
+    let active = 0;
+    const waiting = [];
+
+    const next = () => {
+      if (active >= this.concurrency || waiting.length === 0) return;
+      active++;
+      const { task, resolve, reject } = waiting.shift();
+      task().then(resolve, reject).finally(() => {
+        active--;
+        next();
+      });
+    };
+
+    return task => new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  }
+}
+
+module.exports = AnalysisPipeline;
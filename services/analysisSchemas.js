@@ -0,0 +1,90 @@
+// Expected shape of each LLM analysis, checked by StructuredOutputService
+const { HOOK_STYLES } = require('./hookAnalysisService');
+
+const FREQUENCY = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+module.exports = {
+  features: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      required: ['feature', 'category', 'confidence'],
+      properties: {
+        feature: { type: 'string', minLength: 1 },
+        category: { type: 'string', enum: ['New', 'Updated', 'Legacy'] },
+        confidence: FREQUENCY,
+        videos: { type: 'array', items: { type: 'number' } }
+      }
+    }
+  },
+
+  // Used for both transcript chunks and the merged per-video summary
+  transcriptSummary: {
+    type: 'object',
+    required: ['summary', 'topics'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      topics: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1 } }
+    }
+  },
+
+  sentiment: {
+    type: 'object',
+    required: ['complaints', 'mostRequestedFeature'],
+    properties: {
+      complaints: {
+        type: 'array',
+        maxItems: 5,
+        items: {
+          type: 'object',
+          required: ['text', 'frequency'],
+          properties: {
+            text: { type: 'string', minLength: 1 },
+            frequency: FREQUENCY
+          }
+        }
+      },
+      mostRequestedFeature: { type: 'string', minLength: 1 }
+    }
+  },
+
+  // One entry per numbered comment in the prompt
+  commentPolarity: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['id', 'polarity'],
+      properties: {
+        id: { type: 'number' },
+        polarity: { type: 'string', enum: ['positive', 'neutral', 'negative'] }
+      }
+    }
+  },
+
+  openingHooks: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['id', 'style', 'summary'],
+      properties: {
+        id: { type: 'number' },
+        style: { type: 'string', enum: HOOK_STYLES },
+        summary: { type: 'string', minLength: 1 }
+      }
+    }
+  },
+
+  hooks: {
+    type: 'object',
+    required: ['primaryHook', 'secondaryHooks', 'strategy'],
+    properties: {
+      primaryHook: { type: 'string', minLength: 1 },
+      secondaryHooks: { type: 'array', items: { type: 'string', minLength: 1 } },
+      strategy: { type: 'string', minLength: 1 }
+    }
+  }
+};
@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Saved analyses, watchlists, jobs, alert rules and webhooks belong to a workspace; data
+// from before workspaces existed belongs to this one
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const ROLES = ['admin', 'member'];
+// null for a limit means the server default applies
+const LIMITS = ['requestsPerMinute', 'analysesPerHour', 'youtubeUnitsPerDay'];
+const KEY_PREFIX = 'pi_';
+const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000;
+const DEFAULT_USAGE_SAVE_DELAY = 5000;
+
+class ApiKeyService {
+  constructor(dataDir, options = {}) {
+    this.file = path.join(dataDir, 'api-keys.json');
+    // The bootstrap key from ADMIN_API_KEY: an admin of the default workspace, never stored
+    this.adminKey = options.adminKey || null;
+    this.defaultLimits = options.defaultLimits || {};
+    this.sessionTtl = options.sessionTtl || DEFAULT_SESSION_TTL;
+    // Usage counts change on every request, so they are kept in memory and written at most
+    // once per delay; a crash loses at most that many milliseconds of counts
+    this.usageSaveDelay = options.usageSaveDelay !== undefined ? options.usageSaveDelay : DEFAULT_USAGE_SAVE_DELAY;
+    this.usageTimer = null;
+    this.keys = [];
+    this.sessions = new Map();
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.file, 'utf8')
+        .then(raw => { this.keys = JSON.parse(raw); })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          this.keys = [];
+        });
+    }
+    return this.loaded;
+  }
+
+  save() {
+    // Chain writes so two quick updates can't interleave on disk
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.keys, null, 2));
+      });
+    return this.saving;
+  }
+
+  // Only a hash is stored, so a leaked api-keys.json doesn't leak usable keys
+  hash(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  isValidWorkspace(workspace) {
+    return typeof workspace === 'string' && WORKSPACE_PATTERN.test(workspace);
+  }
+
+  validateKey(fields, { partial = false } = {}) {
+    if (!partial || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+        return 'Name is required';
+      }
+    }
+    if (fields.workspace !== undefined && !this.isValidWorkspace(fields.workspace)) {
+      return 'Workspace must be 1-40 lowercase letters, digits or dashes';
+    }
+    if (fields.role !== undefined && !ROLES.includes(fields.role)) {
+      return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (fields.limits !== undefined) {
+      if (typeof fields.limits !== 'object' || fields.limits === null || Array.isArray(fields.limits)) {
+        return `Limits must be an object with any of: ${LIMITS.join(', ')}`;
+      }
+      const unknown = Object.keys(fields.limits).find(limit => !LIMITS.includes(limit));
+      if (unknown) {
+        return `Unknown limit "${unknown}"; limits are: ${LIMITS.join(', ')}`;
+      }
+      const invalid = Object.keys(fields.limits).find(limit => {
+        const value = fields.limits[limit];
+        return value !== null && !(Number.isInteger(value) && value > 0);
+      });
+      if (invalid) {
+        return `${invalid} must be a positive integer, or null for the server default`;
+      }
+    }
+    return null;
+  }
+
+  async list() {
+    await this.load();
+    return this.keys;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.keys.find(k => k.id === id) || null;
+  }
+
+  // The key itself is returned here and never again
+  async issue(fields) {
+    await this.load();
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name: fields.name.trim(),
+      workspace: fields.workspace || DEFAULT_WORKSPACE,
+      role: fields.role || 'member',
+      keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: this.hash(key),
+      limits: this.toLimits(fields.limits),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+      usage: null
+    };
+
+    this.keys.push(record);
+    await this.save();
+    return { key, record };
+  }
+
+  async update(id, fields) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    if (fields.name !== undefined) record.name = fields.name.trim();
+    if (fields.workspace !== undefined) record.workspace = fields.workspace;
+    if (fields.role !== undefined) record.role = fields.role;
+    if (fields.limits !== undefined) record.limits = { ...record.limits, ...fields.limits };
+
+    await this.save();
+    return record;
+  }
+
+  // Revoked keys are kept so their usage stays visible
+  async revoke(id) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.sessions.forEach((session, token) => {
+        if (session.keyId === id) this.sessions.delete(token);
+      });
+      await this.save();
+    }
+    return record;
+  }
+
+  toLimits(limits = {}) {
+    return Object.fromEntries(LIMITS.map(limit => [limit, limits[limit] !== undefined ? limits[limit] : null]));
+  }
+
+  // What routes see as req.auth: who is calling, in which workspace, under which limits
+  toAuth(record) {
+    const limits = this.toLimits(record.limits);
+    LIMITS.forEach(limit => {
+      if (limits[limit] === null) limits[limit] = this.defaultLimits[limit] || null;
+    });
+    return { keyId: record.id, name: record.name, role: record.role, workspace: record.workspace, limits };
+  }
+
+  adminAuth() {
+    return { keyId: 'admin', name: 'ADMIN_API_KEY', role: 'admin', workspace: DEFAULT_WORKSPACE, limits: this.toLimits() };
+  }
+
+  async authenticate(key) {
+    if (typeof key !== 'string' || key === '') return null;
+
+    if (this.adminKey) {
+      const given = Buffer.from(this.hash(key));
+      if (crypto.timingSafeEqual(given, Buffer.from(this.hash(this.adminKey)))) return this.adminAuth();
+    }
+
+    await this.load();
+    const keyHash = this.hash(key);
+    const record = this.keys.find(k => k.keyHash === keyHash && !k.revokedAt);
+    return record ? this.toAuth(record) : null;
+  }
+
+  // Browser sessions for index.html: the key is exchanged once for a random token kept in
+  // memory, so restarting the server logs everyone out
+  createSession(auth) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, { keyId: auth.keyId, expiresAt: Date.now() + this.sessionTtl });
+    return { token, maxAge: this.sessionTtl };
+  }
+
+  async fromSession(token) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return this.authFor(session.keyId);
+  }
+
+  // req.auth for work done on a key's behalf without the key at hand: sessions, scheduled
+  // watchlist runs. null once the key is revoked.
+  async authFor(keyId) {
+    if (keyId === 'admin') return this.adminKey ? this.adminAuth() : null;
+    const record = await this.get(keyId);
+    return record && !record.revokedAt ? this.toAuth(record) : null;
+  }
+
+  endSession(token) {
+    this.sessions.delete(token);
+  }
+
+  // Counts requests and analyses per key per UTC day
+  async recordUse(keyId, kind, count = 1) {
+    const record = await this.get(keyId);
+    if (!record) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    if (!record.usage || record.usage.date !== date) {
+      record.usage = { date, requests: 0, analyses: 0 };
+    }
+    record.usage[kind] += count;
+    record.lastUsedAt = new Date().toISOString();
+
+    if (!this.usageTimer) {
+      this.usageTimer = setTimeout(() => {
+        this.usageTimer = null;
+        this.save().catch(error => console.error('❌ Failed to save API key usage:', error.message));
+      }, this.usageSaveDelay);
+      // A pending usage write shouldn't keep the process alive
+      this.usageTimer.unref();
+    }
+  }
+
+  // The stored record without its hash, with today's usage; quotaByKey comes from
+  // QuotaService.getUsageByKey
+  describe(record, quotaByKey = {}) {
+    const { keyHash, usage, ...rest } = record;
+    const today = new Date().toISOString().slice(0, 10);
+    const counts = usage && usage.date === today ? usage : { requests: 0, analyses: 0 };
+    return {
+      ...rest,
+      usageToday: {
+        requests: counts.requests,
+        analyses: counts.analyses,
+        youtubeUnits: (quotaByKey[record.id] || { units: 0 }).units
+      }
+    };
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.DEFAULT_WORKSPACE = DEFAULT_WORKSPACE;
+module.exports.LIMITS = LIMITS;
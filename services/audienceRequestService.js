@@ -0,0 +1,121 @@
+const KeywordService = require('./keywordService');
+
+// Explicit asks for content in English comments: "please do a video on X", "can you
+// cover X", "I'd love to see X". The first pattern that matches captures the topic.
+const REQUEST_PATTERNS = [
+  /\b(?:make|do|film|upload|post|need|want)\s+(?:a|an|another|more|some)?\s*(?:full|whole|dedicated|separate|proper)?\s*(?:video|videos|tutorial|tutorials|episode|guide|review|breakdown|series)\s+(?:on|about|of|for|covering)\s+(.+)/i,
+  /\b(?:can|could|would|will)\s+you\s+(?:please\s+|pls\s+)?(?:make|do|cover|show|teach|explain|review|try|talk about|go over)\s+(?:us\s+)?(.+)/i,
+  /\b(?:i'?d|i would|we'?d|would)\s+love\s+(?:to see|to learn about|to learn|(?:(?:a|another|more)\s+)?(?:video|videos|tutorial|tutorials|content)\s+(?:on|about)|more on|more about)\s+(.+)/i,
+  /\b(?:you should|u should|please|pls|plz)\s+(?:make|do|cover|try|review|show|explain)\s+(?:us\s+)?(.+)/i,
+  /\b(?:video|tutorial|content)\s+(?:idea|request|suggestion)s?\s*[:-]?\s*(.+)/i,
+  /\bnext\s+(?:video|episode)\s+(?:should be\s+)?(?:on|about)\s+(.+)/i
+];
+
+// Words that say how something is asked for rather than what
+const FILLER = new Set(`make making try trying show explain explained cover covering review tutorial guide episode series
+breakdown please pls plz full whole dedicated separate proper detailed complete another more next again part
+maybe someday soon sometime too also thank thanks love`.split(/\s+/));
+
+// A captured topic ends at the end of its sentence or where the commenter moves on
+const TOPIC_END = /[.!?\n]|\s(?:because|cause|since|so that|thanks|thank you|lol|pls|please)\b/i;
+// Wording around the topic itself: "a full guide on X", "X next time"
+const LEADING_WORDS = /^(?:(?:a|an|the|some|more|another|full|whole|proper|detailed|quick)\s+)*(?:(?:video|videos|tutorial|guide|review|episode|breakdown)\s+(?:on|about|of|for)\s+)?(?:(?:you|u)\s+(?:try|make|do|cover|review)\s+)?(?:how to\s+)?/i;
+const TRAILING_WORDS = /(?:\s+(?:next|again|too|soon|sometime|someday|next time|as well|one day|pls|plz|please))+$/i;
+const MAX_TOPIC_WORDS = 8;
+const MAX_REQUESTS = 20;
+const QUOTES_PER_REQUEST = 3;
+// Requests sharing at least this share of their topic words are the same ask
+const SAME_TOPIC_OVERLAP = 0.5;
+
+class AudienceRequestService {
+  constructor() {
+    this.keywords = new KeywordService();
+  }
+
+  // The requested topic of a comment, or null when it isn't asking for content
+  extractTopic(text) {
+    for (const pattern of REQUEST_PATTERNS) {
+      const match = String(text || '').match(pattern);
+      if (!match) continue;
+
+      const topic = match[1]
+        .split(TOPIC_END)[0]
+        .split(/\s+/)
+        .slice(0, MAX_TOPIC_WORDS)
+        .join(' ')
+        .replace(/[\s,;:'"()-]+$/, '')
+        .replace(LEADING_WORDS, '')
+        .replace(TRAILING_WORDS, '')
+        .trim();
+      const terms = this.topicTerms(topic);
+      if (terms.length > 0) return { topic: topic.toLowerCase(), terms };
+    }
+    return null;
+  }
+
+  topicTerms(text) {
+    return [...new Set(this.keywords.contentWords(text).filter(word => !FILLER.has(word)))];
+  }
+
+  // Jaccard overlap of two term lists
+  overlap(a, b) {
+    const setB = new Set(b);
+    const shared = a.filter(term => setB.has(term)).length;
+    const union = new Set([...a, ...b]).size;
+    return union > 0 ? shared / union : 0;
+  }
+
+  isSameTopic(a, b) {
+    return this.overlap(a, b) >= SAME_TOPIC_OVERLAP;
+  }
+
+  // Request comments grouped by topic, most asked-for first. Likes count as agreement,
+  // so a request with 400 likes outranks one posted twice.
+  extract(videoData) {
+    const groups = [];
+
+    videoData.forEach(video => (video.comments || []).forEach(comment => {
+      const request = this.extractTopic(comment.text);
+      if (!request) return;
+
+      let group = groups.find(g => this.isSameTopic(g.terms, request.terms));
+      if (!group) {
+        group = { labels: new Map(), terms: request.terms, mentions: 0, likes: 0, videos: new Set(), comments: [] };
+        groups.push(group);
+      }
+      group.labels.set(request.topic, (group.labels.get(request.topic) || 0) + 1);
+      group.terms = [...new Set([...group.terms, ...request.terms])];
+      group.mentions++;
+      group.likes += comment.likeCount || 0;
+      group.videos.add(video.videoId);
+      group.comments.push({ ...comment, videoId: video.videoId });
+    }));
+
+    return groups
+      .map(group => this.toRequest(group))
+      .sort((a, b) => b.mentions + Math.log1p(b.likes) - (a.mentions + Math.log1p(a.likes)))
+      .slice(0, MAX_REQUESTS);
+  }
+
+  // The wording used most often names the group
+  toRequest(group) {
+    const [topic] = Array.from(group.labels.entries()).sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0];
+    return {
+      topic,
+      terms: group.terms,
+      mentions: group.mentions,
+      likes: group.likes,
+      videos: Array.from(group.videos),
+      quotes: [...group.comments]
+        .sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0))
+        .slice(0, QUOTES_PER_REQUEST)
+        .map(c => ({
+          text: c.text.length > 200 ? `${c.text.substring(0, 197)}...` : c.text,
+          likeCount: c.likeCount || 0,
+          videoId: c.videoId
+        }))
+    };
+  }
+}
+
+module.exports = AudienceRequestService;
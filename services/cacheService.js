@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const HOUR = 60 * 60;
+
+// Default time-to-live per data type, in seconds. Override with CACHE_TTL_<TYPE>, e.g. CACHE_TTL_TRANSCRIPTS=86400;
+// 0 turns caching off for that type
+const DEFAULT_TTLS = {
+  channelLookup: 7 * 24 * HOUR,
+  channelStats: 6 * HOUR,
+  videoList: 1 * HOUR,
+  videoStats: 1 * HOUR,
+  comments: 6 * HOUR,
+  transcripts: 7 * 24 * HOUR,
+  llm: 7 * 24 * HOUR
+};
+
+class CacheService {
+  constructor(dataDir, options = {}) {
+    this.cacheDir = path.join(dataDir, 'cache');
+    this.enabled = options.enabled !== false;
+    this.ttls = { ...DEFAULT_TTLS };
+    this.counters = {};
+
+    Object.keys(DEFAULT_TTLS).forEach(type => {
+      const override = parseInt(process.env[`CACHE_TTL_${type.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`]);
+      if (!isNaN(override)) this.ttls[type] = override;
+      this.counters[type] = { hits: 0, misses: 0 };
+    });
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  fileFor(type, key) {
+    if (!this.isValidType(type)) {
+      throw new Error(`Unknown cache type: ${type}`);
+    }
+    return path.join(this.cacheDir, type, `${this.hash(key)}.json`);
+  }
+
+  async get(type, key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(type, key), 'utf8'));
+      if (Date.parse(entry.expiresAt) > Date.now()) return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`❌ Cache read failed (${type}):`, error.message);
+    }
+    return null;
+  }
+
+  async set(type, key, value) {
+    const file = this.fileFor(type, key);
+    const now = Date.now();
+    const entry = {
+      key,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttls[type] * 1000).toISOString(),
+      value
+    };
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(entry));
+    } catch (error) {
+      console.error(`❌ Cache write failed (${type}):`, error.message);
+    }
+  }
+
+  // Returns the cached value, or runs fetch() and caches what it returns.
+  // forceRefresh skips the read but still stores the fresh value.
+  async wrap(type, key, fetch, { forceRefresh = false } = {}) {
+    if (!this.enabled || this.ttls[type] === 0) return fetch();
+
+    if (!forceRefresh) {
+      const entry = await this.get(type, key);
+      if (entry) {
+        this.counters[type].hits++;
+        return entry.value;
+      }
+    }
+
+    this.counters[type].misses++;
+    const value = await fetch();
+    if (value !== null && value !== undefined) {
+      await this.set(type, key, value);
+    }
+    return value;
+  }
+
+  async stats() {
+    const types = await Promise.all(Object.keys(this.ttls).map(async (type) => {
+      let files = [];
+      try {
+        files = await fs.readdir(path.join(this.cacheDir, type));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      return {
+        type,
+        ttlSeconds: this.ttls[type],
+        entries: files.filter(f => f.endsWith('.json')).length,
+        ...this.counters[type]
+      };
+    }));
+
+    return { enabled: this.enabled, types };
+  }
+
+  async list(type) {
+    const dir = path.join(this.cacheDir, type);
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = await Promise.all(files.filter(f => f.endsWith('.json')).map(async (file) => {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        return {
+          key: entry.key.substring(0, 200),
+          storedAt: entry.storedAt,
+          expiresAt: entry.expiresAt,
+          expired: Date.parse(entry.expiresAt) <= Date.now()
+        };
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    return entries.filter(Boolean);
+  }
+
+  // Purges one type, or everything when no type is given. Returns how many entries were removed.
+  async purge(type) {
+    const types = type ? [type] : Object.keys(this.ttls);
+    let removed = 0;
+
+    for (const t of types) {
+      const dir = path.join(this.cacheDir, t);
+      try {
+        const files = await fs.readdir(dir);
+        removed += files.filter(f => f.endsWith('.json')).length;
+        await fs.rm(dir, { recursive: true, force: true });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.counters[t] = { hits: 0, misses: 0 };
+    }
+
+    return removed;
+  }
+
+  isValidType(type) {
+    return Object.prototype.hasOwnProperty.call(this.ttls, type);
+  }
+}
+
+module.exports = CacheService;
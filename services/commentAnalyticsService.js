@@ -0,0 +1,58 @@
+const PerformanceAnalyticsService = require('./performanceAnalyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// English question openers; a trailing "?" anywhere also counts
+const QUESTION_STARTERS = /^(who|what|when|where|why|how|which|can|could|would|will|does|do|did|is|are|was|should|anyone|any)\b/i;
+
+class CommentAnalyticsService {
+  constructor() {
+    this.performance = new PerformanceAnalyticsService();
+  }
+
+  isQuestion(text) {
+    return text.includes('?') || QUESTION_STARTERS.test(text.trim());
+  }
+
+  // How concentrated likes are: a top10PercentShare near 100 means a handful of comments carry the thread
+  likeDistribution(comments) {
+    const likes = comments.map(c => c.likeCount || 0).sort((a, b) => b - a);
+    const total = likes.reduce((sum, n) => sum + n, 0);
+    const topTenCount = Math.max(1, Math.ceil(likes.length * 0.1));
+    const share = n => total > 0 ? parseFloat(((n / total) * 100).toFixed(1)) : 0;
+
+    return {
+      total,
+      median: this.performance.median(likes),
+      max: likes[0] || 0,
+      topCommentShare: share(likes[0] || 0),
+      top10PercentShare: share(likes.slice(0, topTenCount).reduce((sum, n) => sum + n, 0))
+    };
+  }
+
+  analyzeVideo(video, now = new Date()) {
+    const comments = video.comments || [];
+    const replies = comments.filter(c => c.isReply);
+    const topLevel = comments.filter(c => !c.isReply);
+
+    // Floor at one hour so a video published minutes ago doesn't report absurd velocity
+    const ageDays = Math.max((now - new Date(video.publishedAt)) / DAY_MS, 1 / 24);
+    const totalComments = parseInt(video.stats && video.stats.commentCount) || 0;
+    const questions = comments.filter(c => this.isQuestion(c.text)).length;
+
+    return {
+      harvested: comments.length,
+      topLevel: topLevel.length,
+      replies: replies.length,
+      commentsPerDay: parseFloat((totalComments / ageDays).toFixed(2)),
+      questionShare: comments.length > 0 ? parseFloat(((questions / comments.length) * 100).toFixed(1)) : 0,
+      likes: this.likeDistribution(comments),
+      topComments: [...comments]
+        .sort((a, b) => b.likeCount - a.likeCount)
+        .slice(0, 3)
+        .map(c => ({ text: c.text, likeCount: c.likeCount, isReply: c.isReply }))
+    };
+  }
+}
+
+module.exports = CommentAnalyticsService;
@@ -0,0 +1,79 @@
+// Metrics from calculateEnhancedMetrics that are ranked side by side (higher is better)
+const COMPARED_METRICS = [
+  'subscriberCount',
+  'totalChannelViews',
+  'totalChannelVideos',
+  'avgViews',
+  'medianViewsPerDay',
+  'viewsTrend',
+  'avgLikes',
+  'engagementRate',
+  'avgComments',
+  'commentRate',
+  'uploadFrequency',
+  'transcriptAvailability'
+];
+
+class ComparisonService {
+  compare(analyses) {
+    const channels = analyses.map(a => ({
+      channelHandle: a.channelHandle,
+      channelName: a.channelInfo ? a.channelInfo.channelName : a.channelHandle,
+      metrics: a.metrics
+    }));
+
+    const rankings = {};
+    const leaders = {};
+
+    COMPARED_METRICS.forEach(metric => {
+      const ranked = this.rankMetric(channels, metric);
+      rankings[metric] = ranked;
+      leaders[metric] = ranked.length > 0 ? ranked[0] : null;
+    });
+
+    return {
+      channels,
+      rankings,
+      leaders,
+      uniqueFeatures: this.findUnique(analyses, a => (a.features || []).map(f => f.feature)),
+      uniqueKeywords: this.findUnique(analyses, a => (a.keywords || []).map(k => k.keyword))
+    };
+  }
+
+  rankMetric(channels, metric) {
+    const values = channels
+      .map(c => ({ channelHandle: c.channelHandle, value: parseFloat(c.metrics[metric]) }))
+      .filter(c => !isNaN(c.value))
+      .sort((a, b) => b.value - a.value);
+
+    // Ties share a rank, so two channels at 4.5% engagement are both #1
+    return values.map(entry => ({
+      ...entry,
+      rank: values.findIndex(v => v.value === entry.value) + 1
+    }));
+  }
+
+  findUnique(analyses, getTerms) {
+    const termsByChannel = analyses.map(a => ({
+      channelHandle: a.channelHandle,
+      terms: new Map(
+        getTerms(a)
+          .filter(term => typeof term === 'string' && term.trim() !== '')
+          .map(term => [term.trim().toLowerCase(), term.trim()])
+      )
+    }));
+
+    const unique = {};
+    termsByChannel.forEach(({ channelHandle, terms }) => {
+      unique[channelHandle] = Array.from(terms.entries())
+        .filter(([key]) => !termsByChannel.some(other =>
+          other.channelHandle !== channelHandle && other.terms.has(key)
+        ))
+        .map(([, term]) => term);
+    });
+
+    return unique;
+  }
+}
+
+module.exports = ComparisonService;
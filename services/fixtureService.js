@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Fixture files, one per kind of outside call: YouTube Data API responses, raw caption
+// tracks and LLM completions. Each file maps a request key to what came back.
+const KINDS = ['youtube', 'transcripts', 'llm'];
+const MODES = ['replay', 'record'];
+
+// Thrown in replay mode when nothing was recorded for a request
+class FixtureMissingError extends Error {
+  constructor(kind, key) {
+    super(`No ${kind} fixture recorded for ${key.substring(0, 120)}`);
+    this.name = 'FixtureMissingError';
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+// Stands in for the network. In record mode every call goes out as normal and its
+// result (or error) is saved; in replay mode calls are answered from the saved files
+// and nothing leaves the machine.
+class FixtureService {
+  constructor(fixtureDir, mode = 'replay') {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    this.fixtureDir = fixtureDir;
+    this.mode = mode;
+    this.loaded = {};
+    this.writes = Promise.resolve();
+  }
+
+  fileFor(kind) {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown fixture kind: ${kind}`);
+    }
+    return path.join(this.fixtureDir, `${kind}.json`);
+  }
+
+  // Each file is read once and kept in memory; concurrent calls share the same load
+  load(kind) {
+    if (!this.loaded[kind]) {
+      this.loaded[kind] = fs.readFile(this.fileFor(kind), 'utf8')
+        .then(JSON.parse)
+        .catch(error => {
+          if (error.code === 'ENOENT') return {};
+          throw error;
+        });
+    }
+    return this.loaded[kind];
+  }
+
+  // Writes are chained so parallel recordings don't interleave on disk
+  async save(kind, key, entry) {
+    const entries = await this.load(kind);
+    entries[key] = { recordedAt: new Date().toISOString(), ...entry };
+
+    this.writes = this.writes.then(async () => {
+      await fs.mkdir(this.fixtureDir, { recursive: true });
+      await fs.writeFile(this.fileFor(kind), JSON.stringify(entries, null, 2));
+    }).catch(error => console.error(`❌ Fixture write failed (${kind}):`, error.message));
+    return this.writes;
+  }
+
+  // Recorded errors are thrown again on replay so failure paths replay too
+  async wrap(kind, key, fetch) {
+    if (this.mode === 'replay') {
+      const entries = await this.load(kind);
+      const entry = entries[key];
+      if (!entry) throw new FixtureMissingError(kind, key);
+      if (entry.error) throw new Error(entry.error);
+      return entry.value;
+    }
+
+    try {
+      const value = await fetch();
+      await this.save(kind, key, { value });
+      return value;
+    } catch (error) {
+      // A cancelled analysis isn't a response worth replaying
+      if (error.name !== 'AbortError' && error.name !== 'CanceledError') {
+        await this.save(kind, key, { error: error.message });
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = FixtureService;
+module.exports.FixtureMissingError = FixtureMissingError;
+module.exports.MODES = MODES;
@@ -0,0 +1,217 @@
+const AudienceRequestService = require('./audienceRequestService');
+
+const MAX_IDEAS = 15;
+const MAX_RELATED_VIDEOS = 5;
+const QUOTES_PER_IDEA = 3;
+// A video covers a requested topic when it shares this much of the topic's words
+const COVERAGE_SHARE = 0.67;
+// Related videos' performance scales demand within these bounds, so one viral video
+// can't bury every other request
+const MIN_PERFORMANCE_WEIGHT = 0.5;
+const MAX_PERFORMANCE_WEIGHT = 3;
+
+// Content gaps across a set of analyzed channels: topics the audience asks for in
+// comments (and the LLM's mostRequestedFeature) that no analyzed video, feature or
+// keyword covers, ranked by comment demand and by how well related videos performed.
+class GapAnalysisService {
+  constructor() {
+    this.requests = new AudienceRequestService();
+  }
+
+  analyze(analyses) {
+    const channels = analyses.map(a => this.indexChannel(a));
+    const ideas = [];
+    const covered = [];
+
+    this.collectDemand(analyses).forEach(candidate => {
+      const coveredBy = this.findCoverage(candidate.terms, channels);
+      if (coveredBy.length > 0) {
+        covered.push({ topic: candidate.topic, mentions: candidate.mentions, likes: candidate.likes, coveredBy });
+      } else {
+        ideas.push(this.toIdea(candidate, channels));
+      }
+    });
+
+    this.rank(ideas, 'demandRank', idea => idea.demand.score);
+    this.rank(ideas, 'performanceRank', idea => idea.performance.avgPerformanceRatio);
+
+    return {
+      channels: channels.map(({ channelHandle, channelName, videos }, i) => ({
+        channelHandle,
+        channelName,
+        videosAnalyzed: videos.length,
+        requests: (analyses[i].audienceRequests || []).length
+      })),
+      ideas: ideas
+        .sort((a, b) => b.priority - a.priority)
+        .slice(0, MAX_IDEAS)
+        .map((idea, i) => ({ rank: i + 1, ...idea })),
+      covered
+    };
+  }
+
+  // Topic words of every analyzed video (title plus transcript topics) and of each
+  // channel's features and keywords
+  indexChannel(analysis) {
+    const summaries = new Map((analysis.videoSummaries || []).map(s => [s.videoId, s]));
+    const termsOf = text => new Set(this.requests.topicTerms(text));
+
+    return {
+      channelHandle: analysis.channelHandle,
+      channelName: analysis.channelInfo ? analysis.channelInfo.channelName : analysis.channelHandle,
+      videos: (analysis.videoBreakdown || []).map(v => {
+        const summary = summaries.get(v.videoId);
+        return {
+          videoId: v.videoId,
+          title: v.title,
+          views: v.views,
+          performanceRatio: v.performanceRatio,
+          terms: termsOf([v.title, ...(summary ? summary.topics : [])].join('. '))
+        };
+      }),
+      labels: [
+        ...(analysis.features || []).map(f => ({ feature: f.feature, terms: termsOf(f.feature) })),
+        ...(analysis.keywords || []).map(k => ({ keyword: k.keyword, terms: termsOf(k.keyword) }))
+      ]
+    };
+  }
+
+  // Comment requests from every channel merged by topic. The LLM's mostRequestedFeature
+  // joins a matching request or stands on its own; complaints only back up a request.
+  collectDemand(analyses) {
+    const candidates = [];
+    const findOrAdd = (terms, label) => {
+      let candidate = candidates.find(c => this.requests.isSameTopic(c.terms, terms));
+      if (!candidate) {
+        candidate = { labels: new Map(), terms, mentions: 0, likes: 0, llmMentions: 0, channels: new Set(), requestedOn: [], quotes: [], complaints: [], signals: new Set() };
+        candidates.push(candidate);
+      }
+      candidate.labels.set(label, (candidate.labels.get(label) || 0) + 1);
+      candidate.terms = [...new Set([...candidate.terms, ...terms])];
+      return candidate;
+    };
+
+    analyses.forEach(a => (a.audienceRequests || []).forEach(request => {
+      const candidate = findOrAdd(request.terms, request.topic);
+      candidate.mentions += request.mentions;
+      candidate.likes += request.likes;
+      candidate.channels.add(a.channelHandle);
+      candidate.signals.add('comments');
+      request.videos.forEach(videoId => candidate.requestedOn.push({ channelHandle: a.channelHandle, videoId }));
+      request.quotes.forEach(quote => candidate.quotes.push({ ...quote, channelHandle: a.channelHandle }));
+    }));
+
+    analyses.forEach(a => {
+      const requested = a.sentiment && a.sentiment.mostRequestedFeature;
+      const terms = requested ? this.requests.topicTerms(requested) : [];
+      if (terms.length === 0) return;
+
+      const candidate = findOrAdd(terms, requested.toLowerCase());
+      candidate.llmMentions++;
+      candidate.channels.add(a.channelHandle);
+      candidate.signals.add('mostRequestedFeature');
+    });
+
+    analyses.forEach(a => ((a.sentiment && a.sentiment.complaints) || []).forEach(complaint => {
+      // Complaints are whole sentences, so they only need to mention half the topic
+      const terms = new Set(this.requests.topicTerms(complaint.text));
+      const candidate = candidates.find(c => c.terms.filter(term => terms.has(term)).length >= Math.ceil(c.terms.length / 2));
+      if (!candidate) return;
+
+      candidate.complaints.push({ ...complaint, channelHandle: a.channelHandle });
+      candidate.signals.add('complaints');
+    }));
+
+    return candidates.map(candidate => ({
+      ...candidate,
+      // Comment wording wins over the LLM's, then the shortest phrasing
+      topic: Array.from(candidate.labels.entries()).sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0]
+    }));
+  }
+
+  covers(termSet, terms) {
+    const shared = terms.filter(term => termSet.has(term)).length;
+    return shared >= Math.max(1, Math.ceil(terms.length * COVERAGE_SHARE));
+  }
+
+  findCoverage(terms, channels) {
+    const coveredBy = [];
+    channels.forEach(channel => {
+      channel.videos
+        .filter(video => this.covers(video.terms, terms))
+        .forEach(video => coveredBy.push({ channelHandle: channel.channelHandle, videoId: video.videoId, title: video.title }));
+      channel.labels
+        .filter(label => this.covers(label.terms, terms))
+        .forEach(({ terms: labelTerms, ...label }) => coveredBy.push({ channelHandle: channel.channelHandle, ...label }));
+    });
+    return coveredBy;
+  }
+
+  // Videos sharing any of the topic's words, plus the videos the requests were posted on
+  relatedVideos(candidate, channels) {
+    const related = [];
+    channels.forEach(channel => channel.videos.forEach(video => {
+      const sharedTerms = candidate.terms.filter(term => video.terms.has(term)).length;
+      const requestedOn = candidate.requestedOn.some(r => r.channelHandle === channel.channelHandle && r.videoId === video.videoId);
+      if (sharedTerms === 0 && !requestedOn) return;
+
+      related.push({
+        channelHandle: channel.channelHandle,
+        videoId: video.videoId,
+        title: video.title,
+        views: video.views,
+        performanceRatio: video.performanceRatio,
+        sharedTerms,
+        requestedOn
+      });
+    }));
+
+    return related
+      .sort((a, b) => b.sharedTerms - a.sharedTerms || (b.performanceRatio || 0) - (a.performanceRatio || 0))
+      .slice(0, MAX_RELATED_VIDEOS);
+  }
+
+  toIdea(candidate, channels) {
+    const relatedVideos = this.relatedVideos(candidate, channels);
+    const ratios = relatedVideos.map(v => v.performanceRatio).filter(ratio => ratio !== null && ratio !== undefined);
+    const avgPerformanceRatio = ratios.length > 0
+      ? parseFloat((ratios.reduce((sum, n) => sum + n, 0) / ratios.length).toFixed(2))
+      : null;
+
+    // Each request counts once, likes with diminishing returns, and each channel whose
+    // comments the LLM read and named this as most requested counts once more
+    const demandScore = candidate.mentions + Math.log1p(candidate.likes) + candidate.llmMentions;
+    const weight = avgPerformanceRatio === null
+      ? 1
+      : Math.min(Math.max(avgPerformanceRatio, MIN_PERFORMANCE_WEIGHT), MAX_PERFORMANCE_WEIGHT);
+
+    return {
+      idea: `${candidate.topic.charAt(0).toUpperCase()}${candidate.topic.slice(1)}`,
+      topic: candidate.topic,
+      terms: candidate.terms,
+      priority: parseFloat((demandScore * weight).toFixed(2)),
+      demand: {
+        score: parseFloat(demandScore.toFixed(2)),
+        mentions: candidate.mentions,
+        likes: candidate.likes,
+        mostRequestedFeature: candidate.llmMentions > 0,
+        channels: Array.from(candidate.channels)
+      },
+      performance: { avgPerformanceRatio, relatedVideos },
+      signals: Array.from(candidate.signals),
+      quotes: [...candidate.quotes].sort((a, b) => b.likeCount - a.likeCount).slice(0, QUOTES_PER_IDEA),
+      complaints: candidate.complaints
+    };
+  }
+
+  // Ranks by a value, highest first; ideas without one share the last rank
+  rank(ideas, field, valueOf) {
+    const values = ideas.map(valueOf).filter(value => value !== null).sort((a, b) => b - a);
+    ideas.forEach(idea => {
+      const value = valueOf(idea);
+      idea[field] = value === null ? values.length + 1 : values.indexOf(value) + 1;
+    });
+  }
+}
+
+module.exports = GapAnalysisService;
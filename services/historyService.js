@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_WORKSPACE } = require('./apiKeyService');
+
+// YouTube channel IDs are "UC" followed by URL-safe base64 characters
+const CHANNEL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class HistoryService {
+  constructor(dataDir) {
+    this.historyDir = path.join(dataDir, 'history');
+  }
+
+  isValidChannelId(channelId) {
+    return typeof channelId === 'string' && CHANNEL_ID_PATTERN.test(channelId);
+  }
+
+  channelDir(channelId) {
+    if (!this.isValidChannelId(channelId)) {
+      throw new Error(`Invalid channel ID: ${channelId}`);
+    }
+    return path.join(this.historyDir, channelId);
+  }
+
+  parseSnapshotId(snapshotId) {
+    const separator = snapshotId.lastIndexOf('_');
+    const channelId = snapshotId.slice(0, separator);
+    const timestamp = snapshotId.slice(separator + 1);
+
+    if (separator <= 0 || !/^\d+$/.test(timestamp) || !CHANNEL_ID_PATTERN.test(channelId)) {
+      return null;
+    }
+    return { channelId, timestamp };
+  }
+
+  // Snapshots saved before workspaces existed belong to the default one
+  workspaceOf(snapshot) {
+    return snapshot.workspace || DEFAULT_WORKSPACE;
+  }
+
+  async saveSnapshot(channelId, analysis, workspace = DEFAULT_WORKSPACE) {
+    const dir = this.channelDir(channelId);
+    await fs.mkdir(dir, { recursive: true });
+
+    const timestamp = Date.now();
+    const snapshot = {
+      id: `${channelId}_${timestamp}`,
+      channelId,
+      workspace,
+      channelHandle: analysis.channelHandle,
+      channelName: analysis.channelInfo ? analysis.channelInfo.channelName : analysis.channelHandle,
+      createdAt: new Date(timestamp).toISOString(),
+      analysis
+    };
+
+    await fs.writeFile(path.join(dir, `${timestamp}.json`), JSON.stringify(snapshot, null, 2));
+    return snapshot;
+  }
+
+  async getSnapshot(snapshotId) {
+    const parsed = this.parseSnapshotId(snapshotId);
+    if (!parsed) return null;
+
+    try {
+      const file = path.join(this.channelDir(parsed.channelId), `${parsed.timestamp}.json`);
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Every workspace's snapshots of the channel unless one is given
+  async listSnapshots(channelId, workspace = null) {
+    let files;
+    try {
+      files = await fs.readdir(this.channelDir(channelId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const timestamps = files
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.replace('.json', ''))
+      .sort((a, b) => b - a);
+
+    const snapshots = await Promise.all(
+      timestamps.map(timestamp => this.getSnapshot(`${channelId}_${timestamp}`))
+    );
+
+    return snapshots.filter(s => s && (!workspace || this.workspaceOf(s) === workspace)).map(s => ({
+      id: s.id,
+      channelId: s.channelId,
+      workspace: this.workspaceOf(s),
+      channelHandle: s.channelHandle,
+      createdAt: s.createdAt,
+      metrics: {
+        subscriberCount: s.analysis.metrics.subscriberCount,
+        avgViews: s.analysis.metrics.avgViews,
+        engagementRate: s.analysis.metrics.engagementRate,
+        uploadFrequency: s.analysis.metrics.uploadFrequency
+      }
+    }));
+  }
+
+  async listChannels(workspace = null) {
+    let channelIds;
+    try {
+      channelIds = await fs.readdir(this.historyDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const channels = await Promise.all(
+      channelIds.filter(id => CHANNEL_ID_PATTERN.test(id)).map(async (channelId) => {
+        const snapshots = await this.listSnapshots(channelId, workspace);
+        if (snapshots.length === 0) return null;
+
+        const latest = await this.getSnapshot(snapshots[0].id);
+        return {
+          channelId,
+          channelHandle: latest.channelHandle,
+          channelName: latest.channelName,
+          snapshotCount: snapshots.length,
+          latestSnapshotId: latest.id,
+          latestSnapshotAt: latest.createdAt
+        };
+      })
+    );
+
+    return channels.filter(Boolean);
+  }
+
+  diffSnapshots(from, to) {
+    const fromMetrics = from.analysis.metrics;
+    const toMetrics = to.analysis.metrics;
+
+    const metricDeltas = {};
+    Object.keys(toMetrics).forEach(metric => {
+      const before = parseFloat(fromMetrics[metric]);
+      const after = parseFloat(toMetrics[metric]);
+      if (isNaN(before) || isNaN(after)) return;
+
+      metricDeltas[metric] = {
+        from: before,
+        to: after,
+        delta: parseFloat((after - before).toFixed(2)),
+        percentChange: before !== 0 ? parseFloat((((after - before) / before) * 100).toFixed(1)) : null
+      };
+    });
+
+    const fromSentiment = from.analysis.sentiment || {};
+    const toSentiment = to.analysis.sentiment || {};
+
+    return {
+      channelId: to.channelId,
+      from: { id: from.id, createdAt: from.createdAt },
+      to: { id: to.id, createdAt: to.createdAt },
+      metrics: metricDeltas,
+      features: this.diffTerms(
+        (from.analysis.features || []).map(f => f.feature),
+        (to.analysis.features || []).map(f => f.feature)
+      ),
+      keywords: this.diffTerms(
+        (from.analysis.keywords || []).map(k => k.keyword),
+        (to.analysis.keywords || []).map(k => k.keyword)
+      ),
+      complaints: this.diffTerms(
+        (fromSentiment.complaints || []).map(c => c.text),
+        (toSentiment.complaints || []).map(c => c.text)
+      ),
+      mostRequestedFeature: {
+        from: fromSentiment.mostRequestedFeature || null,
+        to: toSentiment.mostRequestedFeature || null,
+        changed: fromSentiment.mostRequestedFeature !== toSentiment.mostRequestedFeature
+      }
+    };
+  }
+
+  diffTerms(before, after) {
+    const normalize = term => String(term).trim().toLowerCase();
+    const beforeKeys = new Set(before.map(normalize));
+    const afterKeys = new Set(after.map(normalize));
+
+    return {
+      added: after.filter(term => !beforeKeys.has(normalize(term))),
+      removed: before.filter(term => !afterKeys.has(normalize(term))),
+      unchanged: after.filter(term => beforeKeys.has(normalize(term)))
+    };
+  }
+}
+
+module.exports = HistoryService;
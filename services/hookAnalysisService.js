@@ -0,0 +1,93 @@
+// Opening-hook analysis: pulls the first N seconds out of a timestamped transcript,
+// classifies the hook style heuristically and relates styles to video performance.
+
+const HOOK_STYLES = ['question', 'promise', 'shock', 'story', 'other'];
+
+// Phrases that signal each style in the opening lines; every match counts. Ties go to the earlier style.
+const STYLE_CUES = {
+  question: [/\?/, /\b(what if|did you know|have you ever|ever wondered|guess what)\b/i],
+  promise: [/\b(by the end of (this|the) video|i('ll| will) show you|you('ll| will) (learn|know|see)|in this video|step by step|how to|going to (show|teach)|here'?s how|the secret|tips?|guide|tutorial)\b/i],
+  shock: [/!/, /\b(never|insane|crazy|shocking|unbelievable|can'?t believe|biggest|worst|warning|stop|banned|illegal|destroyed|million|billion)\b/i, /\$\d/],
+  story: [/\b(when i was|years? ago|last (week|month|year|night)|yesterday|this is the story|i remember|it all started|so i|i was|one day|back in)\b/i]
+};
+
+class HookAnalysisService {
+  constructor(options = {}) {
+    this.windowSeconds = options.windowSeconds || 30;
+  }
+
+  videoUrl(videoId, seconds = 0) {
+    return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+  }
+
+  // Segments starting inside the window, each with a link that jumps to that moment
+  extractOpening(video) {
+    const segments = (video.transcriptSegments || [])
+      .filter(segment => segment.start < this.windowSeconds)
+      .map(segment => ({
+        start: segment.start,
+        text: segment.text,
+        url: this.videoUrl(video.videoId, segment.start)
+      }));
+
+    if (segments.length === 0) return null;
+
+    return {
+      videoId: video.videoId,
+      title: video.title,
+      text: segments.map(segment => segment.text).join(' '),
+      segments
+    };
+  }
+
+  classify(text) {
+    const scores = {};
+    HOOK_STYLES.forEach(style => {
+      scores[style] = (STYLE_CUES[style] || [])
+        .reduce((sum, cue) => sum + (text.match(new RegExp(cue.source, 'gi')) || []).length, 0);
+    });
+
+    const style = HOOK_STYLES.reduce((best, s) => (scores[s] > scores[best] ? s : best), 'other');
+    const total = Object.values(scores).reduce((sum, n) => sum + n, 0);
+
+    return {
+      style,
+      confidence: scores[style] === 0 ? 'low' : scores[style] / total > 0.5 && scores[style] >= 2 ? 'high' : 'medium'
+    };
+  }
+
+  // Average performance per hook style, with views relative to the channel average
+  // (1.5 means videos with that hook get 50% more views than the channel typically does)
+  correlate(videoBreakdown) {
+    const withHooks = videoBreakdown.filter(v => v.hook);
+    if (withHooks.length === 0) return [];
+
+    const channelAvgViews = videoBreakdown.reduce((sum, v) => sum + v.views, 0) / videoBreakdown.length;
+
+    return HOOK_STYLES
+      .map(style => {
+        const videos = withHooks.filter(v => v.hook.style === style);
+        if (videos.length === 0) return null;
+
+        const avgViews = Math.round(videos.reduce((sum, v) => sum + v.views, 0) / videos.length);
+        // Videos with hidden likes have no engagement rate and are left out of that average
+        const rated = videos.filter(v => v.engagementRate !== null);
+        const avgEngagement = rated.length > 0
+          ? parseFloat((rated.reduce((sum, v) => sum + parseFloat(v.engagementRate), 0) / rated.length).toFixed(2))
+          : null;
+
+        return {
+          style,
+          videos: videos.length,
+          avgViews,
+          avgEngagementRate: avgEngagement,
+          viewsVsChannel: channelAvgViews > 0 ? parseFloat((avgViews / channelAvgViews).toFixed(2)) : null
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.avgViews - a.avgViews);
+  }
+}
+
+module.exports = HookAnalysisService;
+module.exports.HOOK_STYLES = HOOK_STYLES;
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { DEFAULT_WORKSPACE } = require('./apiKeyService');
+
+const MAX_EVENTS_KEPT = 50;
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+class JobService {
+  constructor(runAnalysis, options = {}) {
+    this.runAnalysis = runAnalysis;
+    this.concurrency = options.concurrency || 1;
+    this.jobs = new Map();
+    this.queue = [];
+    this.active = 0;
+  }
+
+  create(channelHandle, options = {}) {
+    return this.toJSON(this.enqueue(channelHandle, options));
+  }
+
+  // For routes that answer with the analysis itself: the analysis waits its turn in the
+  // same queue as background jobs, and the promise settles with its result or its error.
+  // options.signal cancels it and options.onProgress sees its progress events. These runs
+  // belong to their request, so they stay out of the job map that list, get and cancel see.
+  run(channelHandle, options = {}) {
+    return new Promise((resolve, reject) => {
+      const job = this.enqueue(channelHandle, options, { resolve, reject });
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => this.stop(job), { once: true });
+      }
+    });
+  }
+
+  enqueue(channelHandle, options, settle = null) {
+    this.pruneFinished();
+
+    const job = {
+      id: crypto.randomUUID(),
+      channelHandle,
+      workspace: options.workspace || DEFAULT_WORKSPACE,
+      // The API key that queued the job, whose quota share the analysis spends
+      auth: options.auth || null,
+      sampling: options.sampling || {},
+      stages: options.stages,
+      promptVariants: options.promptVariants,
+      forceRefresh: Boolean(options.forceRefresh),
+      status: 'queued',
+      stage: null,
+      events: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      onProgress: options.onProgress || null,
+      settle
+    };
+
+    if (!settle) this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.next();
+    return job;
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  // Every workspace's jobs unless one is given
+  list(workspace = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => !workspace || job.workspace === workspace)
+      .map(job => this.toJSON(job, { includeResult: false }));
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    this.stop(job);
+    return this.toJSON(job);
+  }
+
+  stop(job) {
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+      if (job.settle) job.settle.reject(new Error('Job cancelled'));
+    } else if (job.status === 'running') {
+      // runJob marks the job cancelled once the in-flight requests reject
+      job.controller.abort();
+    }
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      this.runJob(this.queue.shift());
+    }
+  }
+
+  async runJob(job) {
+    this.active++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await this.runAnalysis(job.channelHandle, {
+        sampling: job.sampling,
+        stages: job.stages,
+        promptVariants: job.promptVariants,
+        forceRefresh: job.forceRefresh,
+        workspace: job.workspace,
+        auth: job.auth,
+        signal: job.controller.signal,
+        onProgress: event => {
+          this.recordProgress(job, event);
+          if (job.onProgress) job.onProgress(event);
+        }
+      });
+      this.finish(job, 'completed');
+      if (job.settle) job.settle.resolve(job.result);
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        console.log(`⏹️  Job ${job.id} cancelled`);
+        this.finish(job, 'cancelled');
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        job.error = error.message;
+        job.candidates = error.candidates || null;
+        this.finish(job, 'failed');
+      }
+      if (job.settle) job.settle.reject(error);
+    } finally {
+      this.active--;
+      this.next();
+    }
+  }
+
+  recordProgress(job, event) {
+    if (event.type === 'stage') {
+      job.stage = { name: event.stage, status: event.status };
+    }
+    job.events.push({ ...event, at: new Date().toISOString() });
+    if (job.events.length > MAX_EVENTS_KEPT) job.events.shift();
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+  }
+
+  // Finished jobs are kept for an hour so clients have time to collect the result
+  pruneFinished() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL;
+    this.jobs.forEach((job, id) => {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      concurrency: this.concurrency,
+      running: this.active,
+      queued: this.queue.length
+    };
+  }
+
+  toJSON(job, { includeResult = true } = {}) {
+    const position = this.queue.indexOf(job);
+    return {
+      id: job.id,
+      channelHandle: job.channelHandle,
+      workspace: job.workspace,
+      sampling: job.sampling,
+      stages: job.stages || null,
+      promptVariants: job.promptVariants || null,
+      status: job.status,
+      stage: job.stage,
+      queuePosition: position === -1 ? null : position + 1,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      candidates: job.candidates || null,
+      ...(includeResult ? { events: job.events, result: job.result } : {})
+    };
+  }
+}
+
+module.exports = JobService;
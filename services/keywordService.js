@@ -0,0 +1,208 @@
+// Keyword and phrase extraction across a channel's videos: TF-IDF over titles,
+// descriptions and transcripts, weighted by how well the videos using a term perform.
+
+const STOPWORDS = {
+  en: `a about above after again against all also am an and any are aren't as at be because been before being below
+between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down during each few for
+from further get got had hadn't has hasn't have haven't having he he'd he'll he's her here here's hers herself him
+himself his how how's i i'd i'll i'm i've if in into is isn't it it's its itself just let's like me more most much
+mustn't my myself no nor not now of off on once only or other ought our ours ourselves out over own really same
+shan't she she'd she'll she's should shouldn't so some such than that that's the their theirs them themselves then
+there there's these they they'd they'll they're they've this those through to too under until up us very was wasn't
+we we'd we'll we're we've were weren't what what's when when's where where's which while who who's whom why why's
+will with won't would wouldn't you you'd you'll you're you've your yours yourself yourselves gonna wanna yeah okay ok
+oh um uh actually going know right thing things something lot lots kind sort way even still back one two first`,
+  es: `a al algo algunas algunos ante antes como con contra cual cuando de del desde donde durante e el ella ellas
+ellos en entre era eres es esa esas ese eso esos esta estaba estado estamos estan estar este esto estos estoy fue
+fueron ha hace hacer han has hay la las le les lo los mas me mi mis mucho muy nada ni no nos nosotros o os otra otro
+para pero poco por porque que quien se sea ser si sido sin sobre somos son soy su sus tambien te tiene tienen todo
+todos tu tus un una uno unos vosotros y ya yo más también está están qué así él`,
+  fr: `a ai au aux avec avons c ce ces cet cette d dans de des du elle elles en est et etait ete eu il ils j je l la
+le les leur leurs lui m ma mais me mes moi mon n ne nos notre nous on ont ou par pas plus pour qu que qui s sa sans se
+ses si son sont sur ta te tes toi ton tout tres tu un une vos votre vous y c'est j'ai`,
+  de: `aber alle als also am an auch auf aus bei bin bis bist da damit dann das dass dein deine dem den der des dich
+die dir doch du durch ein eine einem einen einer eines er es fur hat hatte ich ihr ihre im in ist ja jetzt kann kein
+keine mal man mein meine mich mir mit nach nicht noch nur oder schon sehr sein seine sich sie sind so uber um und uns
+unser viel vom von vor war waren was weil wenn wer wie wir wird zu zum zur für über`,
+  pt: `a ao aos as com como da das de do dos e ela elas ele eles em entre era essa esse esta este eu foi for ha isso
+isto ja la mais mas me meu minha muito na nao nas nem no nos nossa nosso o os ou para pela pelo por porque quando que
+quem se sem ser seu sua tambem te tem ter um uma voce voces não também você vocês é já`,
+  it: `a ad al alla alle anche che chi ci come con da dal dalla de dei del della delle di e ed era gli ha hanno ho i il
+in io la le lei lo loro lui ma mi mia mio ne nel nella noi non o per perche piu questa questo se si sono su sua suo
+tu tutto un una uno voi è più perché già`
+};
+
+// Channel boilerplate that shows up in every description regardless of language
+const YOUTUBE_STOPWORDS = `video videos channel subscribe subscribed subscribers like likes comment comments
+share watch watching watched click link links below description follow instagram twitter tiktok facebook discord
+patreon merch sponsor sponsored http https www com today episode part new`;
+
+const LANGUAGE_STOPWORDS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(/\s+/))])
+);
+const BOILERPLATE = new Set(YOUTUBE_STOPWORDS.split(/\s+/));
+
+// Titles say what a video is about far more reliably than its transcript
+const FIELD_WEIGHTS = { title: 3, description: 1, transcript: 1 };
+const MAX_DESCRIPTION_CHARS = 1000;
+const MAX_NGRAM = 3;
+const MAX_KEYWORDS = 15;
+
+class KeywordService {
+  // Picks the language whose stopwords appear most often; English when nothing matches
+  detectLanguage(words) {
+    let best = 'en';
+    let bestHits = 0;
+    Object.entries(LANGUAGE_STOPWORDS).forEach(([lang, stopwords]) => {
+      const hits = words.filter(word => stopwords.has(word)).length;
+      if (hits > bestHits) {
+        best = lang;
+        bestHits = hits;
+      }
+    });
+    return best;
+  }
+
+  // Splits text into runs of words that phrases may not cross: sentence punctuation,
+  // URLs and line breaks all end a run. Hashtags become plain words (#MachineLearning -> machine learning).
+  segment(text) {
+    const cleaned = String(text || '')
+      .replace(/https?:\/\/\S+|www\.\S+|\S+@\S+\.\S+/gi, ' | ')
+      .replace(/#([\p{L}\p{N}_]+)/gu, (match, tag) => ` | ${tag.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ')} | `)
+      .replace(/@[\p{L}\p{N}_.]+/gu, ' | ')
+      .toLowerCase()
+      .normalize('NFKC');
+
+    return cleaned
+      .split(/[\n|.,!?;:()[\]{}"“”«»…\-–—/\\]+/)
+      .map(run => (run.match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || []).map(word => word.replace(/’/g, "'")))
+      .filter(run => run.length > 0);
+  }
+
+  isStopword(word, stopwords) {
+    return word.length < 3 || stopwords.has(word) || BOILERPLATE.has(word) || /^\d+$/.test(word);
+  }
+
+  // The words of a short text that carry its topic, in order, with naive plurals dropped
+  // so "pizzas" and "pizza" match
+  contentWords(text) {
+    const words = this.segment(text).flat();
+    const stopwords = LANGUAGE_STOPWORDS[this.detectLanguage(words)];
+    return words
+      .filter(word => !this.isStopword(word, stopwords))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  // n-grams of 1..MAX_NGRAM words from each run; stopwords break phrases rather than joining them
+  extractTerms(text) {
+    const runs = this.segment(text);
+    const stopwords = LANGUAGE_STOPWORDS[this.detectLanguage(runs.flat())];
+    const terms = [];
+
+    runs.forEach(run => {
+      const words = run.map(word => (this.isStopword(word, stopwords) ? null : word));
+      for (let i = 0; i < words.length; i++) {
+        for (let n = 1; n <= MAX_NGRAM && i + n <= words.length; n++) {
+          const gram = words.slice(i, i + n);
+          if (gram.includes(null)) break;
+          terms.push(gram.join(' '));
+        }
+      }
+    });
+
+    return terms;
+  }
+
+  // Weighted, length-normalized term frequencies for one video
+  termFrequencies(video) {
+    const fields = {
+      title: video.title,
+      description: (video.description || '').substring(0, MAX_DESCRIPTION_CHARS),
+      transcript: video.transcript || ''
+    };
+
+    const counts = new Map();
+    let total = 0;
+    Object.entries(fields).forEach(([field, text]) => {
+      this.extractTerms(text).forEach(term => {
+        counts.set(term, (counts.get(term) || 0) + FIELD_WEIGHTS[field]);
+        total += FIELD_WEIGHTS[field];
+      });
+    });
+
+    counts.forEach((count, term) => counts.set(term, count / Math.max(total, 1)));
+    return counts;
+  }
+
+  // Views relative to the channel average, square-rooted so one viral video doesn't
+  // drown out everything else, and clamped to [0.1, 10]
+  performanceWeight(views, avgViews) {
+    if (!avgViews) return 1;
+    return Math.sqrt(Math.min(Math.max(views / avgViews, 0.1), 10));
+  }
+
+  extract(videoData, options = {}) {
+    const maxKeywords = options.maxKeywords || MAX_KEYWORDS;
+    if (videoData.length === 0) return [];
+
+    const views = videoData.map(v => parseInt(v.stats && v.stats.viewCount) || 0);
+    const avgViews = views.reduce((sum, n) => sum + n, 0) / views.length;
+    const docs = videoData.map(video => this.termFrequencies(video));
+
+    const documentFrequency = new Map();
+    docs.forEach(doc => doc.forEach((tf, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+    // With enough videos a keyword must recur; one-off terms say nothing about the channel
+    const minVideos = videoData.length >= 5 ? 2 : 1;
+    const stats = new Map();
+
+    docs.forEach((doc, i) => {
+      const weight = this.performanceWeight(views[i], avgViews);
+      doc.forEach((tf, term) => {
+        const df = documentFrequency.get(term);
+        if (df < minVideos) return;
+
+        const idf = Math.log((videoData.length + 1) / (df + 1)) + 1;
+        const entry = stats.get(term) || { score: 0, videos: 0, views: 0 };
+        entry.score += tf * idf * weight;
+        entry.videos++;
+        entry.views += views[i];
+        stats.set(term, entry);
+      });
+    });
+
+    const ranked = Array.from(stats.entries())
+      .map(([term, entry]) => ({ term, ...entry }))
+      .sort((a, b) => b.score - a.score);
+
+    // A term found in exactly the same videos as a longer phrase containing it adds nothing
+    // on its own, so the phrase takes its place
+    const contains = (longer, shorter) => longer.videos === shorter.videos && ` ${longer.term} `.includes(` ${shorter.term} `);
+    const kept = [];
+    for (const candidate of ranked) {
+      if (kept.some(k => contains(k, candidate))) continue;
+
+      const shorter = kept.findIndex(k => contains(candidate, k));
+      if (shorter !== -1) {
+        kept[shorter] = candidate;
+      } else if (kept.length < maxKeywords) {
+        kept.push(candidate);
+      }
+    }
+
+    return kept.map((entry, index) => {
+      const termAvgViews = Math.round(entry.views / entry.videos);
+      return {
+        keyword: entry.term,
+        importance: index < Math.ceil(kept.length / 3) ? 'high' : index < Math.ceil((kept.length * 2) / 3) ? 'medium' : 'low',
+        score: parseFloat((entry.score * 100).toFixed(3)),
+        words: entry.term.split(' ').length,
+        videos: entry.videos,
+        avgViews: termAvgViews,
+        viewsLift: avgViews > 0 ? parseFloat((termAvgViews / avgViews).toFixed(2)) : null
+      };
+    });
+  }
+}
+
+module.exports = KeywordService;
@@ -0,0 +1,138 @@
+const PerformanceAnalyticsService = require('./performanceAnalyticsService');
+const CommentAnalyticsService = require('./commentAnalyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Channel-level metrics and the per-video breakdown shown on the dashboard, built from
+// gathered YouTube data. `now` is the reference time for age-based figures.
+class MetricsService {
+  constructor() {
+    this.performanceAnalytics = new PerformanceAnalyticsService();
+    this.commentAnalytics = new CommentAnalyticsService();
+  }
+
+  calculateEnhancedMetrics(youtubeData, now = new Date()) {
+    const videos = youtubeData.videos;
+    const shorts = videos.filter(v => v.isShort);
+    const longForm = videos.filter(v => !v.isShort);
+
+    return {
+      ...this.calculateVideoMetrics(videos, now),
+      commentsProcessed: youtubeData.totalComments,
+      subscriberCount: youtubeData.channelStats.subscriberCount,
+      totalChannelViews: youtubeData.channelStats.totalViews,
+      totalChannelVideos: youtubeData.channelStats.totalVideos,
+      byFormat: {
+        shorts: shorts.length > 0 ? this.calculateVideoMetrics(shorts, now) : null,
+        longForm: longForm.length > 0 ? this.calculateVideoMetrics(longForm, now) : null
+      },
+      outliers: this.performanceAnalytics.outliers(videos, now),
+      durationBuckets: this.performanceAnalytics.durationBuckets(videos, now),
+      postingHeatmap: this.performanceAnalytics.postingHeatmap(videos, now)
+    };
+  }
+
+  calculateVideoMetrics(videos, now = new Date()) {
+    const performance = this.performanceAnalytics;
+    const stats = videos.map(v => performance.parseStats(v));
+    const withLikes = stats.filter(st => st.likes !== null);
+    const withComments = stats.filter(st => st.comments !== null);
+
+    const totalViews = stats.reduce((sum, st) => sum + st.views, 0);
+    const totalLikes = withLikes.reduce((sum, st) => sum + st.likes, 0);
+    const totalComments = withComments.reduce((sum, st) => sum + st.comments, 0);
+
+    const avgViews = Math.round(totalViews / videos.length);
+    // Averaged over the videos that show the count, so hidden likes don't drag the average down
+    const avgLikes = withLikes.length > 0 ? Math.round(totalLikes / withLikes.length) : null;
+    const avgComments = withComments.length > 0 ? Math.round(totalComments / withComments.length) : null;
+
+    const viewsPerDay = videos.map(v => performance.viewsPerDay(v, now));
+
+    const bestVideo = videos.reduce((best, current) => {
+      const currentViews = parseInt(current.stats.viewCount || 0);
+      const bestViews = parseInt(best.stats.viewCount || 0);
+      return currentViews > bestViews ? current : best;
+    }, videos[0]);
+
+    const dates = videos.map(v => new Date(v.publishedAt)).sort((a, b) => b - a);
+    const daysBetweenFirstAndLast = (dates[0] - dates[dates.length - 1]) / DAY_MS;
+    const uploadFrequency = daysBetweenFirstAndLast > 0 ? ((videos.length / daysBetweenFirstAndLast) * 7).toFixed(1) : '0';
+
+    const trend = performance.trend(videos, now);
+
+    const videosWithTranscripts = videos.filter(v => v.transcript && v.transcript.length > 0).length;
+    const transcriptAvailability = ((videosWithTranscripts / videos.length) * 100).toFixed(0);
+
+    return {
+      videosAnalyzed: videos.length,
+      totalViews,
+      avgViews,
+      avgViewsPerDay: Math.round(viewsPerDay.reduce((sum, n) => sum + n, 0) / videos.length),
+      medianViewsPerDay: Math.round(performance.median(viewsPerDay)),
+      viewsTrend: trend.changePer30Days,
+      trend,
+      totalLikes,
+      avgLikes,
+      likesHidden: stats.length - withLikes.length,
+      engagementRate: performance.engagementRate(videos),
+      totalComments,
+      avgComments,
+      commentRate: performance.commentRate(videos),
+      bestPerformingVideo: {
+        videoId: bestVideo.videoId,
+        title: bestVideo.title,
+        views: bestVideo.stats.viewCount,
+        likes: bestVideo.stats.likeCount !== undefined ? bestVideo.stats.likeCount : null
+      },
+      uploadFrequency: parseFloat(uploadFrequency),
+      transcriptAvailability: parseInt(transcriptAvailability)
+    };
+  }
+
+  getVideoBreakdown(videos, openingHooks = [], now = new Date()) {
+    const hooksByVideo = new Map(openingHooks.map(hook => [hook.videoId, hook]));
+    const scores = new Map(this.performanceAnalytics.scoreVideos(videos, now).map(score => [score.videoId, score]));
+
+    return videos.map(v => {
+      const { views, likes, comments } = this.performanceAnalytics.parseStats(v);
+      const { viewsPerDay, performanceRatio, outlier } = scores.get(v.videoId);
+
+      return {
+        videoId: v.videoId,
+        title: v.title,
+        publishedAt: v.publishedAt,
+        thumbnail: this.pickThumbnail(v.thumbnails),
+        views,
+        // null when the channel hides likes or has comments turned off
+        likes,
+        comments,
+        engagementRate: likes !== null && views > 0 ? ((likes / views) * 100).toFixed(2) : null,
+        viewsPerDay,
+        performanceRatio,
+        outlier,
+        hasTranscript: Boolean(v.transcript && v.transcript.length > 0),
+        commentCount: v.comments.length,
+        durationSeconds: v.durationSeconds,
+        isShort: v.isShort,
+        commentStats: this.commentAnalytics.analyzeVideo(v, now),
+        hook: this.toHookSummary(hooksByVideo.get(v.videoId))
+      };
+    }).sort((a, b) => b.views - a.views);
+  }
+
+  pickThumbnail(thumbnails) {
+    if (!thumbnails) return null;
+    const thumbnail = thumbnails.medium || thumbnails.default;
+    return thumbnail ? thumbnail.url : null;
+  }
+
+  // The breakdown carries the hook without its full segment list
+  toHookSummary(hook) {
+    if (!hook) return null;
+    const { style, confidence, summary, opening, url, source } = hook;
+    return { style, confidence, summary, opening, url, source };
+  }
+}
+
+module.exports = MetricsService;
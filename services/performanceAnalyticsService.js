@@ -0,0 +1,181 @@
+// Per-video and channel performance analytics. Views are normalized by age (views per day
+// since publish) so a video from yesterday can be compared with one from last year.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A video is an outlier when its views/day is this many times above (or below) the channel median
+const OUTLIER_RATIO = 2.5;
+
+// Most of a video's views arrive in its first couple of weeks. Younger videos get an outsized
+// views/day, so they aren't flagged as outliers and are left out of the trend.
+const MATURE_DAYS = 14;
+
+const DURATION_BUCKETS = [
+  { label: 'Under 1 min', maxSeconds: 60 },
+  { label: '1-5 min', maxSeconds: 5 * 60 },
+  { label: '5-10 min', maxSeconds: 10 * 60 },
+  { label: '10-20 min', maxSeconds: 20 * 60 },
+  { label: '20-40 min', maxSeconds: 40 * 60 },
+  { label: '40+ min', maxSeconds: Infinity }
+];
+
+class PerformanceAnalyticsService {
+  // YouTube omits likeCount when likes are hidden and commentCount when comments are off,
+  // so those come back as null instead of being counted as zero
+  parseStats(video) {
+    const count = value => (value === undefined || value === null || value === '' ? null : parseInt(value));
+    return {
+      views: count(video.stats.viewCount) || 0,
+      likes: count(video.stats.likeCount),
+      comments: count(video.stats.commentCount)
+    };
+  }
+
+  // Floored at one day so a video published an hour ago doesn't report a huge rate
+  ageDays(video, now = new Date()) {
+    return Math.max((now - new Date(video.publishedAt)) / DAY_MS, 1);
+  }
+
+  viewsPerDay(video, now = new Date()) {
+    return this.parseStats(video).views / this.ageDays(video, now);
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+
+  // Likes per view over only the videos that show their like count; null when none do
+  engagementRate(videos) {
+    const visible = videos.map(v => this.parseStats(v)).filter(s => s.likes !== null);
+    const views = visible.reduce((sum, s) => sum + s.views, 0);
+    if (visible.length === 0 || views === 0) return null;
+    return parseFloat(((visible.reduce((sum, s) => sum + s.likes, 0) / views) * 100).toFixed(2));
+  }
+
+  commentRate(videos) {
+    const visible = videos.map(v => this.parseStats(v)).filter(s => s.comments !== null);
+    const views = visible.reduce((sum, s) => sum + s.views, 0);
+    if (visible.length === 0 || views === 0) return null;
+    return parseFloat(((visible.reduce((sum, s) => sum + s.comments, 0) / views) * 100).toFixed(2));
+  }
+
+  isMature(video, now = new Date()) {
+    return this.ageDays(video, now) >= MATURE_DAYS;
+  }
+
+  // Each video's views/day relative to the channel median (1 = typical)
+  scoreVideos(videos, now = new Date()) {
+    const rates = videos.map(v => this.viewsPerDay(v, now));
+    const medianRate = this.median(rates);
+
+    return videos.map((video, i) => {
+      const ratio = medianRate > 0 ? rates[i] / medianRate : null;
+      const flagged = ratio !== null && this.isMature(video, now);
+      return {
+        videoId: video.videoId,
+        viewsPerDay: parseFloat(rates[i].toFixed(1)),
+        performanceRatio: ratio === null ? null : parseFloat(ratio.toFixed(2)),
+        outlier: !flagged ? null : ratio >= OUTLIER_RATIO ? 'over' : ratio <= 1 / OUTLIER_RATIO ? 'under' : null
+      };
+    });
+  }
+
+  outliers(videos, now = new Date()) {
+    const scores = this.scoreVideos(videos, now);
+    const titles = new Map(videos.map(v => [v.videoId, v.title]));
+    const withTitle = score => ({ ...score, title: titles.get(score.videoId) });
+
+    return {
+      medianViewsPerDay: parseFloat(this.median(scores.map(s => s.viewsPerDay)).toFixed(1)),
+      threshold: OUTLIER_RATIO,
+      over: scores.filter(s => s.outlier === 'over').sort((a, b) => b.performanceRatio - a.performanceRatio).map(withTitle),
+      under: scores.filter(s => s.outlier === 'under').sort((a, b) => a.performanceRatio - b.performanceRatio).map(withTitle)
+    };
+  }
+
+  durationBuckets(videos, now = new Date()) {
+    return DURATION_BUCKETS
+      .map((bucket, i) => {
+        const min = i === 0 ? 0 : DURATION_BUCKETS[i - 1].maxSeconds;
+        const inBucket = videos.filter(v => v.durationSeconds !== undefined && v.durationSeconds !== null && v.durationSeconds >= min && v.durationSeconds < bucket.maxSeconds);
+        if (inBucket.length === 0) return null;
+
+        return {
+          label: bucket.label,
+          videos: inBucket.length,
+          avgViewsPerDay: parseFloat((inBucket.reduce((sum, v) => sum + this.viewsPerDay(v, now), 0) / inBucket.length).toFixed(1)),
+          engagementRate: this.engagementRate(inBucket),
+          commentRate: this.commentRate(inBucket)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Upload counts and average views/day by weekday and hour, in UTC
+  postingHeatmap(videos, now = new Date()) {
+    const counts = DAYS.map(() => new Array(24).fill(0));
+    const totals = DAYS.map(() => new Array(24).fill(0));
+
+    videos.forEach(video => {
+      const published = new Date(video.publishedAt);
+      const day = published.getUTCDay();
+      const hour = published.getUTCHours();
+      counts[day][hour]++;
+      totals[day][hour] += this.viewsPerDay(video, now);
+    });
+
+    const avgViewsPerDay = counts.map((row, day) => row.map((count, hour) => (count > 0 ? parseFloat((totals[day][hour] / count).toFixed(1)) : null)));
+
+    let best = null;
+    avgViewsPerDay.forEach((row, day) => row.forEach((avg, hour) => {
+      if (avg !== null && (!best || avg > best.avgViewsPerDay)) best = { day: DAYS[day], hour, avgViewsPerDay: avg };
+    }));
+
+    return {
+      timezone: 'UTC',
+      days: DAYS,
+      counts,
+      avgViewsPerDay,
+      byDay: DAYS.map((day, i) => ({ day, videos: counts[i].reduce((sum, n) => sum + n, 0) })),
+      byHour: Array.from({ length: 24 }, (_, hour) => ({ hour, videos: counts.reduce((sum, row) => sum + row[hour], 0) })),
+      best
+    };
+  }
+
+  // Least-squares fit of log(views) against publish date over videos at least MATURE_DAYS old,
+  // whose view counts have mostly settled. The slope is reported as the expected % change in
+  // views per 30 days of publishing; r2 says how well the line fits.
+  trend(videos, now = new Date()) {
+    const mature = videos.filter(v => this.isMature(v, now));
+    const insufficient = { changePer30Days: 0, r2: 0, direction: 'insufficient data', videos: mature.length, excludedRecent: videos.length - mature.length };
+    if (mature.length < 3) return insufficient;
+
+    const points = mature.map(v => ({
+      x: new Date(v.publishedAt).getTime() / DAY_MS,
+      y: Math.log1p(this.parseStats(v).views)
+    }));
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+    if (sxx === 0) return insufficient;
+
+    const slope = sxy / sxx;
+    const r2 = syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+    const changePer30Days = (Math.exp(slope * 30) - 1) * 100;
+
+    return {
+      changePer30Days: parseFloat(changePer30Days.toFixed(1)),
+      r2: parseFloat(r2.toFixed(3)),
+      direction: r2 < 0.1 || Math.abs(changePer30Days) < 5 ? 'flat' : changePer30Days > 0 ? 'growing' : 'declining',
+      videos: mature.length,
+      excludedRecent: videos.length - mature.length
+    };
+  }
+}
+
+module.exports = PerformanceAnalyticsService;
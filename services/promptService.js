@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VARIANT = 'v1';
+
+// Prompt templates live in prompts/<stage>/<variant>/<template>.txt and use {{name}}
+// placeholders. A variant only needs the templates it changes; the rest come from v1.
+// Templates are read once at startup, so editing one needs a restart.
+class PromptService {
+  constructor(promptDir) {
+    this.promptDir = promptDir;
+    this.templates = this.loadAll();
+  }
+
+  // { stage: { variant: { template: text } } }
+  loadAll() {
+    const templates = {};
+    const dirs = dir => fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+
+    dirs(this.promptDir).forEach(stage => {
+      templates[stage] = {};
+      dirs(path.join(this.promptDir, stage)).forEach(variant => {
+        const variantDir = path.join(this.promptDir, stage, variant);
+        templates[stage][variant] = {};
+        fs.readdirSync(variantDir).filter(file => file.endsWith('.txt')).forEach(file => {
+          // Editors add a final newline; it isn't part of the prompt
+          const text = fs.readFileSync(path.join(variantDir, file), 'utf8').replace(/\r?\n$/, '');
+          templates[stage][variant][path.basename(file, '.txt')] = text;
+        });
+      });
+    });
+
+    return templates;
+  }
+
+  variants(stage) {
+    return Object.keys(this.templates[stage] || {}).sort();
+  }
+
+  // Every stage with templates and the variants it offers
+  list() {
+    return Object.keys(this.templates).sort().map(stage => ({
+      stage,
+      variants: this.variants(stage),
+      defaultVariant: DEFAULT_VARIANT
+    }));
+  }
+
+  hasVariant(stage, variant) {
+    return this.variants(stage).includes(variant);
+  }
+
+  render(stage, template, variant = DEFAULT_VARIANT, values = {}) {
+    const variants = this.templates[stage] || {};
+    const text = (variants[variant] && variants[variant][template]) || (variants[DEFAULT_VARIANT] && variants[DEFAULT_VARIANT][template]);
+    if (text === undefined) {
+      throw new Error(`No prompt template ${stage}/${variant}/${template}`);
+    }
+
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+      if (values[name] === undefined) {
+        throw new Error(`Prompt ${stage}/${variant}/${template} needs a value for {{${name}}}`);
+      }
+      return String(values[name]);
+    });
+  }
+}
+
+module.exports = PromptService;
+module.exports.DEFAULT_VARIANT = DEFAULT_VARIANT;
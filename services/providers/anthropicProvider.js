@@ -0,0 +1,38 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const BaseProvider = require('./baseProvider');
+
+class AnthropicProvider extends BaseProvider {
+  constructor(config) {
+    super('Anthropic', config);
+    this.maxTokens = config.maxTokens;
+    this.client = new Anthropic({
+      apiKey: config.apiKey,
+      timeout: config.timeout,
+      // Retries are handled by BaseProvider so every provider backs off the same way
+      maxRetries: 0
+    });
+  }
+
+  async request(prompt, options = {}) {
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      messages: [{ role: 'user', content: prompt }]
+    }, { signal: options.signal });
+
+    return message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  async ping() {
+    if (!this.client.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set');
+    }
+    await this.client.models.list({ limit: 1 });
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,48 @@
+class BaseProvider {
+  constructor(name, config) {
+    this.name = name;
+    this.model = config.model;
+    this.temperature = config.temperature;
+    this.timeout = config.timeout;
+    this.maxRetries = config.maxRetries;
+  }
+
+  // Subclasses implement request(prompt, options) and ping()
+  async generate(prompt, options = {}) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await this.request(prompt, options);
+      } catch (error) {
+        lastError = error;
+        if (options.signal && options.signal.aborted) break;
+        if (attempt === this.maxRetries || !this.isRetryable(error)) break;
+
+        const delay = 500 * Math.pow(2, attempt);
+        console.log(`${this.name} request failed (${error.message}), retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw new Error(`${this.name} error: ${lastError.message}`);
+  }
+
+  // Client errors won't fix themselves on retry, except rate limits
+  isRetryable(error) {
+    const status = error.status || (error.response && error.response.status);
+    if (!status) return true;
+    return status === 429 || status >= 500;
+  }
+
+  async checkHealth() {
+    try {
+      await this.ping();
+      return { provider: this.name, model: this.model, reachable: true };
+    } catch (error) {
+      return { provider: this.name, model: this.model, reachable: false, error: error.message };
+    }
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,30 @@
+const BaseProvider = require('./baseProvider');
+
+// Wraps a real provider so completions are recorded to, or replayed from, fixtures.
+// Prompts are the fixture keys, so a prompt change needs a fresh recording; until then
+// the missing completion fails like an unreachable LLM and the analysis falls back.
+class FixtureProvider extends BaseProvider {
+  constructor(fixtureService, provider) {
+    super(`${provider.name} (${fixtureService.mode})`, {
+      model: provider.model,
+      temperature: provider.temperature,
+      timeout: provider.timeout,
+      maxRetries: 0
+    });
+    this.fixtureService = fixtureService;
+    this.provider = provider;
+  }
+
+  // The wrapped provider does its own retrying, so only the final outcome is recorded
+  async generate(prompt, options = {}) {
+    return this.fixtureService.wrap('llm', prompt, () => this.provider.generate(prompt, options));
+  }
+
+  async ping() {
+    if (this.fixtureService.mode === 'record') {
+      await this.provider.ping();
+    }
+  }
+}
+
+module.exports = FixtureProvider;
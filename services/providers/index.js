@@ -0,0 +1,54 @@
+const OllamaProvider = require('./ollamaProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OpenAIProvider = require('./openaiProvider');
+
+const PROVIDERS = {
+  ollama: {
+    Provider: OllamaProvider,
+    envPrefix: 'OLLAMA',
+    defaults: { baseURL: 'http://localhost:11434', model: 'llama3.2', timeout: 120000 }
+  },
+  anthropic: {
+    Provider: AnthropicProvider,
+    envPrefix: 'ANTHROPIC',
+    defaults: { model: 'claude-3-5-haiku-latest', timeout: 60000 }
+  },
+  openai: {
+    Provider: OpenAIProvider,
+    envPrefix: 'OPENAI',
+    defaults: { baseURL: 'https://api.openai.com/v1', model: 'gpt-4o-mini', timeout: 60000 }
+  }
+};
+
+function numberFromEnv(value, fallback) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+// Every provider reads the same settings under its own prefix, e.g. OLLAMA_MODEL / ANTHROPIC_MODEL
+function loadProviderConfig(name, env = process.env) {
+  const { envPrefix, defaults } = PROVIDERS[name];
+  const setting = key => env[`${envPrefix}_${key}`];
+
+  return {
+    baseURL: setting('BASE_URL') || defaults.baseURL,
+    apiKey: setting('API_KEY'),
+    model: setting('MODEL') || defaults.model,
+    temperature: numberFromEnv(setting('TEMPERATURE'), 0.3),
+    maxTokens: numberFromEnv(setting('MAX_TOKENS'), 2048),
+    timeout: numberFromEnv(setting('TIMEOUT_MS'), defaults.timeout),
+    maxRetries: numberFromEnv(setting('MAX_RETRIES'), 2)
+  };
+}
+
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'ollama').toLowerCase();
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new PROVIDERS[name].Provider(loadProviderConfig(name, env));
+}
+
+module.exports = { createProvider, loadProviderConfig };
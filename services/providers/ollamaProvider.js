@@ -0,0 +1,33 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+class OllamaProvider extends BaseProvider {
+  constructor(config) {
+    super('Ollama', config);
+    this.baseURL = config.baseURL.replace(/\/$/, '');
+  }
+
+  async request(prompt, options = {}) {
+    const response = await axios.post(`${this.baseURL}/api/generate`, {
+      model: this.model,
+      prompt: prompt,
+      stream: false,
+      options: { temperature: this.temperature }
+    }, { timeout: this.timeout, signal: options.signal });
+
+    return response.data.response;
+  }
+
+  async ping() {
+    const response = await axios.get(`${this.baseURL}/api/tags`, { timeout: 5000 });
+    const models = (response.data.models || []).map(m => m.name);
+
+    // Ollama tags models as "llama3.2:latest", so match on the base name too
+    const installed = models.some(name => name === this.model || name.split(':')[0] === this.model);
+    if (!installed) {
+      throw new Error(`Model ${this.model} is not pulled (run: ollama pull ${this.model})`);
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,34 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Works with any server that speaks the OpenAI chat completions API
+// (OpenAI itself, LM Studio, vLLM, llama.cpp server, OpenRouter, ...)
+class OpenAIProvider extends BaseProvider {
+  constructor(config) {
+    super('OpenAI-compatible', config);
+    this.baseURL = config.baseURL.replace(/\/$/, '');
+    this.apiKey = config.apiKey;
+    this.maxTokens = config.maxTokens;
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async request(prompt, options = {}) {
+    const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      model: this.model,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    }, { headers: this.headers(), timeout: this.timeout, signal: options.signal });
+
+    return response.data.choices[0].message.content;
+  }
+
+  async ping() {
+    await axios.get(`${this.baseURL}/models`, { headers: this.headers(), timeout: 5000 });
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Unit costs from the YouTube Data API v3 quota calculator
+const ENDPOINT_COSTS = {
+  search: 100,
+  channels: 1,
+  videos: 1,
+  playlistItems: 1,
+  commentThreads: 1,
+  comments: 1
+};
+
+class QuotaExceededError extends Error {
+  // scope is 'budget' for the server's daily budget, 'key' for one API key's share of it
+  constructor(needed, remaining, scope = 'budget') {
+    const what = scope === 'key' ? 'This API key\'s share of the YouTube API quota is used up' : 'YouTube API quota budget exceeded';
+    super(`${what}: this needs ~${needed} units but only ${remaining} remain today (resets at midnight Pacific time)`);
+    this.name = 'QuotaExceededError';
+    this.needed = needed;
+    this.remaining = remaining;
+    this.scope = scope;
+  }
+}
+
+class QuotaService {
+  constructor(dataDir, options = {}) {
+    this.file = path.join(dataDir, 'quota.json');
+    this.dailyBudget = options.dailyBudget || 10000;
+    this.usage = this.emptyUsage();
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  // Google resets the daily quota at midnight Pacific time, so bucket usage the same way
+  today() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+  }
+
+  emptyUsage() {
+    return { date: this.today(), used: 0, calls: 0, byEndpoint: {}, byKey: {} };
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.file, 'utf8')
+        .then(raw => { this.usage = JSON.parse(raw); })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    await this.loaded;
+
+    if (this.usage.date !== this.today()) {
+      this.usage = this.emptyUsage();
+    }
+    // Usage saved before per-key tracking has no byKey
+    if (!this.usage.byKey) this.usage.byKey = {};
+  }
+
+  save() {
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.usage, null, 2));
+      });
+    return this.saving;
+  }
+
+  costOf(endpoint) {
+    return ENDPOINT_COSTS[endpoint] || 1;
+  }
+
+  // `auth` is the calling API key's context; its limits.youtubeUnitsPerDay caps its share
+  async assertAvailable(units, auth = null) {
+    await this.load();
+    const remaining = this.dailyBudget - this.usage.used;
+    if (units > remaining) {
+      throw new QuotaExceededError(units, Math.max(remaining, 0));
+    }
+
+    const share = auth && auth.keyId && auth.limits ? auth.limits.youtubeUnitsPerDay : null;
+    if (share) {
+      const keyRemaining = share - this.getKeyUnits(auth.keyId);
+      if (units > keyRemaining) {
+        throw new QuotaExceededError(units, Math.max(keyRemaining, 0), 'key');
+      }
+    }
+  }
+
+  // Called before every Data API request; failed requests are billed by Google too
+  async record(endpoint, auth = null) {
+    const units = this.costOf(endpoint);
+    await this.assertAvailable(units, auth);
+
+    this.usage.used += units;
+    this.usage.calls += 1;
+    const entry = this.usage.byEndpoint[endpoint] || { calls: 0, units: 0 };
+    this.usage.byEndpoint[endpoint] = { calls: entry.calls + 1, units: entry.units + units };
+    if (auth && auth.keyId) {
+      const keyEntry = this.usage.byKey[auth.keyId] || { calls: 0, units: 0 };
+      this.usage.byKey[auth.keyId] = { calls: keyEntry.calls + 1, units: keyEntry.units + units };
+    }
+
+    this.save().catch(error => console.error('❌ Failed to save quota usage:', error.message));
+    return units;
+  }
+
+  async getUsage() {
+    await this.load();
+    return {
+      date: this.usage.date,
+      used: this.usage.used,
+      budget: this.dailyBudget,
+      remaining: Math.max(this.dailyBudget - this.usage.used, 0),
+      calls: this.usage.calls,
+      byEndpoint: this.usage.byEndpoint
+    };
+  }
+
+  // Today's { calls, units } per API key, kept apart from getUsage since /api/health is public
+  async getUsageByKey() {
+    await this.load();
+    return this.usage.byKey;
+  }
+
+  // Units spent today by one API key; call after load()
+  getKeyUnits(keyId) {
+    return (this.usage.byKey[keyId] || { units: 0 }).units;
+  }
+}
+
+module.exports = QuotaService;
+module.exports.QuotaExceededError = QuotaExceededError;
@@ -0,0 +1,34 @@
+// Fixed-window counters kept in memory, one per API key and limit. A restart resets
+// them, which errs on the side of letting requests through.
+const MAX_WINDOWS = 10000;
+
+class RateLimitService {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  // Counts `cost` against the window; a null limit always allows
+  take(id, limit, windowMs, cost = 1, now = Date.now()) {
+    if (!limit) return { allowed: true, limit: null, remaining: null, resetAt: null };
+
+    let window = this.windows.get(id);
+    if (!window || now >= window.resetAt) {
+      if (this.windows.size >= MAX_WINDOWS) this.prune(now);
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(id, window);
+    }
+
+    const allowed = window.count + cost <= limit;
+    if (allowed) window.count += cost;
+
+    return { allowed, limit, remaining: Math.max(limit - window.count, 0), resetAt: window.resetAt };
+  }
+
+  prune(now = Date.now()) {
+    this.windows.forEach((window, id) => {
+      if (now >= window.resetAt) this.windows.delete(id);
+    });
+  }
+}
+
+module.exports = RateLimitService;
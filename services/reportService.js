@@ -0,0 +1,311 @@
+const PDFDocument = require('pdfkit');
+
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Columns of the video breakdown table, shared by the CSV export and the document tables
+const VIDEO_COLUMNS = [
+  ['videoId', v => v.videoId],
+  ['title', v => v.title],
+  ['publishedAt', v => v.publishedAt],
+  ['views', v => v.views],
+  ['likes', v => v.likes],
+  ['comments', v => v.comments],
+  ['engagementRate', v => v.engagementRate],
+  ['durationSeconds', v => v.durationSeconds],
+  ['isShort', v => v.isShort],
+  ['hasTranscript', v => Boolean(v.hasTranscript)],
+  ['commentsHarvested', v => v.commentCount],
+  ['commentsPerDay', v => (v.commentStats ? v.commentStats.commentsPerDay : '')],
+  ['questionShare', v => (v.commentStats ? v.commentStats.questionShare : '')],
+  ['hookStyle', v => (v.hook ? v.hook.style : '')],
+  ['hookUrl', v => (v.hook ? v.hook.url : '')]
+];
+
+const MAX_DOCUMENT_VIDEOS = 25;
+const MAX_PDF_CELL_CHARS = 160;
+
+// Renders a saved analysis snapshot as a downloadable report
+class ReportService {
+  isValidFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  async render(snapshot, format) {
+    const { contentType, extension } = FORMATS[format];
+    const body = format === 'pdf' ? await this.toPDF(snapshot)
+      : format === 'md' ? this.toMarkdown(snapshot)
+        : format === 'csv' ? this.toCSV(snapshot)
+          : JSON.stringify(snapshot, null, 2);
+
+    return { contentType, filename: `${this.slug(snapshot)}.${extension}`, body };
+  }
+
+  slug(snapshot) {
+    const name = (snapshot.channelName || snapshot.channelId).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `pulseinsight-${name || snapshot.channelId}-${snapshot.createdAt.slice(0, 10)}`;
+  }
+
+  // Leading = + - @ would be evaluated as formulas by spreadsheet apps
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toCSV(snapshot) {
+    const rows = (snapshot.analysis.videoBreakdown || []).map(video => VIDEO_COLUMNS.map(([, get]) => this.csvCell(get(video))).join(','));
+    return [VIDEO_COLUMNS.map(([name]) => name).join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  // The sections shared by the Markdown and PDF reports, as headings, key/value lists and tables
+  buildSections(snapshot) {
+    const analysis = snapshot.analysis;
+    const metrics = analysis.metrics || {};
+    const sentiment = analysis.sentiment || {};
+    const hooks = analysis.hooks || {};
+    const sections = [];
+
+    sections.push({
+      title: 'Key Metrics',
+      pairs: [
+        ['Subscribers', this.number(metrics.subscriberCount)],
+        ['Videos analyzed', metrics.videosAnalyzed],
+        ['Average views', this.number(metrics.avgViews)],
+        ['Views per day (median)', this.number(metrics.medianViewsPerDay)],
+        ['Views trend', metrics.trend ? `${metrics.trend.changePer30Days}% per 30 days (${metrics.trend.direction})` : `${metrics.viewsTrend}%`],
+        ['Engagement rate', this.percent(metrics.engagementRate)],
+        ['Comment rate', this.percent(metrics.commentRate)],
+        ['Uploads per week', metrics.uploadFrequency],
+        ['Best upload slot (UTC)', metrics.postingHeatmap && metrics.postingHeatmap.best
+          ? `${metrics.postingHeatmap.best.day} ${String(metrics.postingHeatmap.best.hour).padStart(2, '0')}:00`
+          : 'n/a'],
+        ['Comments processed', this.number(metrics.commentsProcessed)],
+        ['Best performing video', metrics.bestPerformingVideo ? `${metrics.bestPerformingVideo.title} (${this.number(metrics.bestPerformingVideo.views)} views)` : 'n/a']
+      ]
+    });
+
+    const byFormat = metrics.byFormat || {};
+    if (byFormat.shorts && byFormat.longForm) {
+      sections.push({
+        title: 'Shorts vs Long-form',
+        table: {
+          headers: ['Format', 'Videos', 'Avg views', 'Engagement'],
+          rows: [['Shorts', byFormat.shorts], ['Long-form', byFormat.longForm]]
+            .map(([label, m]) => [label, m.videosAnalyzed, this.number(m.avgViews), this.percent(m.engagementRate)])
+        }
+      });
+    }
+
+    if (metrics.durationBuckets && metrics.durationBuckets.length > 0) {
+      sections.push({
+        title: 'Performance by Length',
+        table: {
+          headers: ['Length', 'Videos', 'Avg views/day', 'Engagement', 'Comment rate'],
+          rows: metrics.durationBuckets.map(b => [b.label, b.videos, this.number(b.avgViewsPerDay), this.percent(b.engagementRate), this.percent(b.commentRate)])
+        }
+      });
+    }
+
+    if (metrics.outliers) {
+      const outlierRows = [...metrics.outliers.over, ...metrics.outliers.under];
+      sections.push({
+        title: 'Outliers',
+        pairs: [['Median views per day', this.number(metrics.outliers.medianViewsPerDay)]],
+        table: {
+          headers: ['Video', 'Views/day', 'vs median', 'Type'],
+          rows: outlierRows.map(o => [o.title, this.number(o.viewsPerDay), `${o.performanceRatio}x`, o.outlier === 'over' ? 'Overperformer' : 'Underperformer'])
+        }
+      });
+    }
+
+    sections.push({
+      title: 'Features & Topics',
+      table: {
+        headers: ['Feature', 'Category', 'Confidence', 'Videos'],
+        rows: (analysis.features || []).map(f => [f.feature, f.category, f.confidence, (f.videos || []).map(v => v.title).join('; ')])
+      }
+    });
+
+    const distribution = sentiment.distribution || {};
+    const percentages = distribution.percentages || {};
+    sections.push({
+      title: 'Audience Sentiment',
+      pairs: [
+        ['Comments scored', distribution.total || 0],
+        ['Positive', `${percentages.positive || 0}%`],
+        ['Neutral', `${percentages.neutral || 0}%`],
+        ['Negative', `${percentages.negative || 0}%`],
+        ['Recurring complaints', (sentiment.complaints || []).map(c => `${c.text} (${c.frequency})`).join('; ') || 'None found'],
+        ['Most requested', sentiment.mostRequestedFeature || 'Not determined']
+      ],
+      table: {
+        headers: ['Theme', 'Comments', 'Share', 'Mostly', 'Example'],
+        rows: (sentiment.themes || []).map(t => [t.theme, t.count, `${t.share}%`, t.polarity, t.examples[0] ? t.examples[0].text : ''])
+      }
+    });
+
+    sections.push({
+      title: 'Hooks',
+      pairs: [
+        ['Primary hook', hooks.primaryHook],
+        ['Secondary hooks', (hooks.secondaryHooks || []).join(', ') || 'None'],
+        ['Strategy', hooks.strategy]
+      ],
+      table: {
+        headers: ['Opening style', 'Videos', 'Avg views', 'vs channel', 'Engagement'],
+        rows: (analysis.hookPerformance || []).map(h => [h.style, h.videos, this.number(h.avgViews), `${h.viewsVsChannel}x`, this.percent(h.avgEngagementRate)])
+      }
+    });
+
+    sections.push({
+      title: 'Keywords',
+      table: {
+        headers: ['Keyword', 'Importance', 'Videos', 'Avg views', 'vs channel'],
+        rows: (analysis.keywords || []).map(k => [k.keyword, k.importance, k.videos, this.number(k.avgViews), k.viewsLift ? `${k.viewsLift}x` : ''])
+      }
+    });
+
+    const videos = analysis.videoBreakdown || [];
+    sections.push({
+      title: videos.length > MAX_DOCUMENT_VIDEOS ? `Top ${MAX_DOCUMENT_VIDEOS} Videos` : 'Videos',
+      table: {
+        headers: ['Title', 'Published', 'Views', 'Views/day', 'Engagement', 'Hook'],
+        rows: videos.slice(0, MAX_DOCUMENT_VIDEOS).map(v => [
+          `${v.title}${v.outlier === 'over' ? ' (outlier)' : ''}`, (v.publishedAt || '').slice(0, 10), this.number(v.views),
+          this.number(v.viewsPerDay), this.percent(v.engagementRate), v.hook ? v.hook.style : ''
+        ])
+      }
+    });
+
+    return sections;
+  }
+
+  number(value) {
+    const n = Number(value);
+    return value === undefined || value === null || isNaN(n) ? 'n/a' : n.toLocaleString('en-US');
+  }
+
+  percent(value) {
+    return value === undefined || value === null ? 'n/a' : `${value}%`;
+  }
+
+  title(snapshot) {
+    return `Competitor Report: ${snapshot.channelName || snapshot.channelHandle}`;
+  }
+
+  toMarkdown(snapshot) {
+    const cell = value => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    const lines = [
+      `# ${this.title(snapshot)}`,
+      '',
+      `Analyzed ${snapshot.createdAt.replace('T', ' ').slice(0, 16)} UTC · Snapshot \`${snapshot.id}\``,
+      ''
+    ];
+
+    this.buildSections(snapshot).forEach(section => {
+      lines.push(`## ${section.title}`, '');
+      if (section.pairs) {
+        section.pairs.forEach(([label, value]) => lines.push(`- **${label}:** ${cell(value)}`));
+        lines.push('');
+      }
+      if (section.table) {
+        if (section.table.rows.length === 0) {
+          lines.push('_No data._', '');
+          return;
+        }
+        lines.push(`| ${section.table.headers.join(' | ')} |`);
+        lines.push(`| ${section.table.headers.map(() => '---').join(' | ')} |`);
+        section.table.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  // The built-in PDF fonts only cover Latin-1. Set REPORT_PDF_FONT to a TTF/OTF file to render other scripts.
+  toPDF(snapshot) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: this.title(snapshot) } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const customFont = process.env.REPORT_PDF_FONT;
+      const regular = customFont || 'Helvetica';
+      const bold = customFont || 'Helvetica-Bold';
+      const text = value => {
+        const s = String(value === undefined || value === null ? '' : value);
+        return customFont ? s : s.replace(/[^\x20-\xFF]/g, '?');
+      };
+
+      doc.font(bold).fontSize(20).text(text(this.title(snapshot)));
+      doc.font(regular).fontSize(10).fillColor('#606060')
+        .text(`Analyzed ${snapshot.createdAt.replace('T', ' ').slice(0, 16)} UTC`)
+        .fillColor('black');
+
+      this.buildSections(snapshot).forEach(section => {
+        doc.moveDown(1.2).font(bold).fontSize(14).text(text(section.title));
+        doc.moveDown(0.4).fontSize(10);
+
+        (section.pairs || []).forEach(([label, value]) => {
+          doc.font(bold).text(`${text(label)}: `, { continued: true }).font(regular).text(text(value));
+        });
+
+        if (section.table) {
+          if (section.pairs) doc.moveDown(0.5);
+          this.pdfTable(doc, section.table, { regular, bold, text });
+        }
+      });
+
+      doc.end();
+    });
+  }
+
+  // Fixed-width columns; the first column gets the spare width since it holds titles and names
+  pdfTable(doc, table, { regular, bold, text }) {
+    if (table.rows.length === 0) {
+      doc.font(regular).fillColor('#606060').text('No data.').fillColor('black');
+      return;
+    }
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const narrow = Math.min(75, width / (table.headers.length + 1));
+    const widths = table.headers.map((h, i) => (i === 0 ? width - narrow * (table.headers.length - 1) : narrow));
+    const left = doc.page.margins.left;
+
+    const drawRow = (row, font) => {
+      const cells = row.map(c => {
+        const s = text(c);
+        return s.length > MAX_PDF_CELL_CHARS ? `${s.slice(0, MAX_PDF_CELL_CHARS - 3)}...` : s;
+      });
+      doc.font(font).fontSize(9);
+      const height = Math.max(...cells.map((c, i) => doc.heightOfString(c, { width: widths[i] - 6 }))) + 4;
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+      const top = doc.y;
+      let x = left;
+      cells.forEach((c, i) => {
+        doc.text(c, x, top + 2, { width: widths[i] - 6 });
+        x += widths[i];
+      });
+      doc.x = left;
+      doc.y = top + height;
+      doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#E5E5E5').stroke();
+    };
+
+    drawRow(table.headers, bold);
+    table.rows.forEach(row => drawRow(row, regular));
+    doc.font(regular).fontSize(10);
+  }
+}
+
+module.exports = ReportService;
+module.exports.FORMATS = Object.keys(FORMATS);
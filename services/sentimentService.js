@@ -0,0 +1,223 @@
+// Deterministic comment sentiment: a small valence lexicon with negation and
+// intensifier handling, plus keyword clustering into themes. Used on its own when
+// the LLM is unavailable and for everything the LLM doesn't score.
+
+const POLARITIES = ['positive', 'neutral', 'negative'];
+
+// Score assigned when a polarity comes from the LLM, which gives no intensity
+const POLARITY_SCORES = { positive: 1, neutral: 0, negative: -1 };
+
+const LEXICON = {
+  // positive
+  love: 2, loved: 2, loves: 2, amazing: 2, awesome: 2, excellent: 2, fantastic: 2, incredible: 2,
+  perfect: 2, brilliant: 2, outstanding: 2, masterpiece: 2, legendary: 2, goat: 2, best: 2,
+  great: 1.5, beautiful: 1.5, wonderful: 1.5, underrated: 1.5, insane: 1, epic: 1.5, gem: 1.5,
+  good: 1, nice: 1, cool: 1, fun: 1, funny: 1, helpful: 1.5, useful: 1.5, informative: 1.5,
+  clear: 1, thanks: 1, thank: 1, enjoy: 1, enjoyed: 1, like: 0.5, liked: 1, favorite: 1.5, favourite: 1.5,
+  interesting: 1, impressive: 1.5, recommend: 1, appreciate: 1.5, wow: 1, glad: 1,
+  happy: 1, lol: 0.5, hilarious: 1.5, valuable: 1.5, solid: 1, clean: 0.5, smooth: 0.5,
+  // negative
+  hate: -2, hated: -2, terrible: -2, awful: -2, horrible: -2, worst: -2, garbage: -2, trash: -2,
+  scam: -2, clickbait: -2, disgusting: -2, pathetic: -2, useless: -2, bad: -1.5, boring: -1.5,
+  annoying: -1.5, disappointed: -1.5, disappointing: -1.5, misleading: -1.5, wrong: -1, worse: -1.5,
+  poor: -1, fake: -1.5, cringe: -1.5, lame: -1, meh: -0.5, waste: -1.5, wasted: -1.5, stupid: -1.5,
+  confusing: -1, confused: -1, broken: -1, bug: -1, bugs: -1, issue: -0.5, issues: -0.5,
+  problem: -0.5, problems: -0.5, sad: -1, angry: -1.5, unfortunately: -1, overpriced: -1.5,
+  expensive: -0.5, slow: -0.5, loud: -0.5, quiet: -0.5, ads: -0.5, sponsor: -0.5, sucks: -1.5,
+  ruined: -2, miss: -0.5, unwatchable: -2, fail: -1.5, failed: -1
+};
+
+const EMOJI = {
+  '❤': 2, '😍': 2, '🔥': 1.5, '👍': 1, '👏': 1.5, '😂': 1, '🤣': 1, '😀': 1, '😊': 1, '🙌': 1.5, '💯': 1.5,
+  '👎': -1.5, '😡': -2, '😠': -1.5, '🤮': -2, '😢': -1, '😭': -0.5, '💩': -1.5, '🙄': -1, '😴': -1
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', 'dont', "don't", 'doesnt', "doesn't", 'isnt', "isn't", 'wasnt', "wasn't", 'cant', "can't", 'wont', "won't", 'aint', 'without', 'hardly']);
+const INTENSIFIERS = { very: 1.5, really: 1.4, so: 1.3, super: 1.5, extremely: 1.8, absolutely: 1.6, totally: 1.4, too: 1.2, most: 1.3 };
+const NEGATION_WINDOW = 3;
+
+// Below this absolute score a comment counts as neutral
+const NEUTRAL_BAND = 0.5;
+
+const STOPWORDS = new Set(`a about above after again all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each even ever every few for from further get got
+had has have having he her here hers him his how i if in into is it its itself just know let me more much my myself
+now of off on once one only or other our out over own really same she should so some such than that the their them
+then there these they this those through to too under until up us very was way we were what when where which while
+who whom why will with would you your yours yourself im ive youre thats theres dont cant wont didnt doesnt isnt
+video videos channel watch watching watched guys guy people thing things lot make made think going want need new
+please pls yes yeah still back time first next day see look looks say said man bro dude`.split(/\s+/));
+
+const MAX_THEMES = 8;
+const MIN_THEME_SIZE = 2;
+const EXAMPLES_PER_GROUP = 3;
+
+class SentimentService {
+  tokenize(text) {
+    return text.toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/[^a-z0-9'\s]/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/^'+|'+$/g, ''))
+      .filter(Boolean);
+  }
+
+  // Valence summed over words; negators flip the next few words, intensifiers scale the next one.
+  // The sum is squashed into [-1, 1] so long comments don't dominate.
+  scoreText(text) {
+    const words = this.tokenize(text);
+    let raw = 0;
+    let negateFor = 0;
+    let boost = 1;
+
+    words.forEach(word => {
+      if (NEGATORS.has(word)) {
+        negateFor = NEGATION_WINDOW;
+        return;
+      }
+      if (INTENSIFIERS[word]) {
+        boost = INTENSIFIERS[word];
+        return;
+      }
+
+      const valence = LEXICON[word];
+      if (valence !== undefined) {
+        raw += valence * boost * (negateFor > 0 ? -0.75 : 1);
+      }
+      boost = 1;
+      if (negateFor > 0) negateFor--;
+    });
+
+    Object.entries(EMOJI).forEach(([emoji, valence]) => {
+      const count = text.split(emoji).length - 1;
+      raw += valence * Math.min(count, 3);
+    });
+
+    const score = raw / Math.sqrt(raw * raw + 15);
+    return {
+      polarity: this.polarityFor(raw),
+      score: parseFloat(score.toFixed(3))
+    };
+  }
+
+  polarityFor(raw) {
+    if (raw >= NEUTRAL_BAND) return 'positive';
+    if (raw <= -NEUTRAL_BAND) return 'negative';
+    return 'neutral';
+  }
+
+  // Returns copies of the comments with polarity, score and scoredBy: "lexicon"
+  scoreComments(comments) {
+    return comments.map(comment => ({ ...comment, ...this.scoreText(comment.text), scoredBy: 'lexicon' }));
+  }
+
+  distribution(scoredComments) {
+    const counts = { positive: 0, neutral: 0, negative: 0 };
+    scoredComments.forEach(c => { counts[c.polarity]++; });
+
+    const total = scoredComments.length;
+    const percentages = {};
+    POLARITIES.forEach(polarity => {
+      percentages[polarity] = total > 0 ? parseFloat(((counts[polarity] / total) * 100).toFixed(1)) : 0;
+    });
+
+    const averageScore = total > 0
+      ? parseFloat((scoredComments.reduce((sum, c) => sum + c.score, 0) / total).toFixed(3))
+      : 0;
+
+    return { total, ...counts, percentages, averageScore };
+  }
+
+  // Most-liked comments of each polarity, so the quotes shown are ones the audience agreed with
+  examples(scoredComments, perPolarity = EXAMPLES_PER_GROUP) {
+    const byLikes = [...scoredComments].sort((a, b) => b.likeCount - a.likeCount);
+    const examples = {};
+    POLARITIES.forEach(polarity => {
+      examples[polarity] = byLikes
+        .filter(c => c.polarity === polarity)
+        .slice(0, perPolarity)
+        .map(c => this.toQuote(c));
+    });
+    return examples;
+  }
+
+  toQuote(comment) {
+    return {
+      text: comment.text.length > 200 ? `${comment.text.substring(0, 197)}...` : comment.text,
+      likeCount: comment.likeCount,
+      polarity: comment.polarity
+    };
+  }
+
+  // Content terms of a comment: unigrams plus adjacent-word bigrams, without stopwords,
+  // sentiment words (they say how people feel, not what about) or naive plurals
+  themeTerms(text) {
+    const words = this.tokenize(text)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word) && !NEGATORS.has(word) && LEXICON[word] === undefined && !/^\d+$/.test(word))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+    const terms = new Set(words);
+    for (let i = 0; i < words.length - 1; i++) {
+      if (words[i] !== words[i + 1]) terms.add(`${words[i]} ${words[i + 1]}`);
+    }
+    return terms;
+  }
+
+  // Greedy clustering: the term shared by the most comments claims them as a theme,
+  // then the next term clusters what is left. Bigrams win ties because they read better.
+  clusterThemes(scoredComments, maxThemes = MAX_THEMES) {
+    const termsByComment = scoredComments.map(c => this.themeTerms(c.text));
+    const frequency = new Map();
+    termsByComment.forEach(terms => terms.forEach(term => frequency.set(term, (frequency.get(term) || 0) + 1)));
+
+    const candidates = Array.from(frequency.entries())
+      .filter(([, count]) => count >= MIN_THEME_SIZE)
+      .sort((a, b) => b[1] - a[1] || b[0].split(' ').length - a[0].split(' ').length || a[0].localeCompare(b[0]));
+
+    const assigned = new Set();
+    const themes = [];
+
+    for (const [term] of candidates) {
+      if (themes.length >= maxThemes) break;
+
+      const members = scoredComments.filter((c, i) => !assigned.has(i) && termsByComment[i].has(term));
+      if (members.length < MIN_THEME_SIZE) continue;
+
+      scoredComments.forEach((c, i) => {
+        if (termsByComment[i].has(term)) assigned.add(i);
+      });
+
+      const distribution = this.distribution(members);
+      themes.push({
+        theme: term,
+        count: members.length,
+        share: parseFloat(((members.length / scoredComments.length) * 100).toFixed(1)),
+        polarity: POLARITIES.reduce((best, p) => (distribution[p] > distribution[best] ? p : best), 'neutral'),
+        distribution: distribution.percentages,
+        examples: [...members]
+          .sort((a, b) => b.likeCount - a.likeCount)
+          .slice(0, EXAMPLES_PER_GROUP)
+          .map(c => this.toQuote(c))
+      });
+    }
+
+    return {
+      themes,
+      unclustered: scoredComments.length - assigned.size
+    };
+  }
+
+  summarize(scoredComments, options = {}) {
+    const { themes, unclustered } = this.clusterThemes(scoredComments, options.maxThemes);
+    return {
+      distribution: this.distribution(scoredComments),
+      themes,
+      unclustered,
+      examples: this.examples(scoredComments)
+    };
+  }
+}
+
+module.exports = SentimentService;
+module.exports.POLARITIES = POLARITIES;
+module.exports.POLARITY_SCORES = POLARITY_SCORES;
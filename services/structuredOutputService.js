@@ -0,0 +1,156 @@
+// Asks the LLM for JSON, validates it against a declared schema and, when the
+// output is unusable, sends it back with the validation errors for repair.
+//
+// Schemas use a small JSON Schema subset: type (object/array/string/number/boolean),
+// required, properties, items, minItems, maxItems, minLength and enum.
+class StructuredOutputService {
+  constructor(callLLM, options = {}) {
+    this.callLLM = callLLM;
+    this.maxRepairs = options.maxRepairs !== undefined ? options.maxRepairs : 2;
+  }
+
+  async generate(prompt, schema, label = 'output', options = {}) {
+    let response = await this.callLLM(prompt, options);
+    let errors = [];
+
+    for (let attempt = 0; attempt <= this.maxRepairs; attempt++) {
+      if (attempt > 0) {
+        console.log(`Repairing ${label} JSON (attempt ${attempt}/${this.maxRepairs}): ${errors.join('; ')}`);
+        response = await this.callLLM(this.buildRepairPrompt(prompt, response, schema, errors), options);
+      }
+
+      const parsed = this.extractJSON(response);
+      if (parsed.error) {
+        errors = [parsed.error];
+        continue;
+      }
+
+      const result = this.validate(parsed.value, schema);
+      if (result.errors.length === 0) {
+        return { data: result.value, attempts: attempt + 1 };
+      }
+      errors = result.errors;
+    }
+
+    throw new Error(`Invalid ${label} after ${this.maxRepairs + 1} attempts: ${errors.join('; ')}`);
+  }
+
+  buildRepairPrompt(originalPrompt, badResponse, schema, errors) {
+    return `Your previous answer could not be used. Fix it and return ONLY valid JSON, no commentary.
+
+Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Required JSON schema:
+${JSON.stringify(schema)}
+
+Original task:
+${originalPrompt.substring(0, 1500)}
+
+Previous answer:
+${String(badResponse).substring(0, 2000)}`;
+  }
+
+  // Finds the first complete JSON object/array in free text by matching brackets,
+  // so nested structures aren't cut off at the first closing brace
+  extractJSON(text) {
+    if (typeof text !== 'string') {
+      return { error: 'Response was empty' };
+    }
+
+    const start = text.search(/[[{]/);
+    if (start === -1) {
+      return { error: 'Response did not contain JSON' };
+    }
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+      else if (char === '}' || char === ']') {
+        if (stack.pop() !== char) {
+          return { error: `Mismatched "${char}" in JSON` };
+        }
+        if (stack.length === 0) {
+          try {
+            return { value: JSON.parse(text.slice(start, i + 1)) };
+          } catch (error) {
+            return { error: `JSON parse error: ${error.message}` };
+          }
+        }
+      }
+    }
+
+    return { error: 'JSON was truncated' };
+  }
+
+  // Returns the value normalized (enum casing, arrays capped at maxItems) plus human-readable errors
+  validate(value, schema, path = '$') {
+    const errors = [];
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (schema.type && schema.type !== type) {
+      return { value, errors: [`${path} should be ${schema.type} but was ${type}`] };
+    }
+
+    if (schema.enum) {
+      const match = schema.enum.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+      if (match === undefined) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+      } else {
+        value = match;
+      }
+    }
+
+    if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path} should not be empty`);
+    }
+
+    if (type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} should have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        value = value.slice(0, schema.maxItems);
+      }
+      if (schema.items) {
+        value = value.map((item, i) => {
+          const result = this.validate(item, schema.items, `${path}[${i}]`);
+          errors.push(...result.errors);
+          return result.value;
+        });
+      }
+    }
+
+    if (type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+
+      const normalized = { ...value };
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] === undefined) return;
+        const result = this.validate(value[key], propertySchema, `${path}.${key}`);
+        errors.push(...result.errors);
+        normalized[key] = result.value;
+      });
+      value = normalized;
+    }
+
+    return { value, errors };
+  }
+}
+
+module.exports = StructuredOutputService;
@@ -0,0 +1,222 @@
+// Title patterns tied to performance: which title features (numbers, questions, brackets,
+// all-caps words, emoji, power words, length) go with more views/day and likes on a
+// channel, and how a draft title lines up against them.
+const PerformanceAnalyticsService = require('./performanceAnalyticsService');
+
+// Words copywriters lean on to make a title feel urgent, exclusive or easy
+const POWER_WORDS = new Set(`secret secrets ultimate best worst never always proven easy simple fast quick free
+insane shocking amazing perfect mistake mistakes hack hacks truth stop finally only everything nobody everyone
+complete honest exposed actually must crazy huge biggest epic instantly guaranteed`.split(/\s+/));
+
+// Each pattern compares the videos whose title has it against the rest. `add` and `remove`
+// are the advice for a draft that lacks an overperforming pattern or has an underperforming one.
+const PATTERNS = [
+  { pattern: 'number', label: 'Contains a number', test: f => f.hasNumber, add: 'Add a number (a count, year or price)', remove: 'Drop the number' },
+  { pattern: 'question', label: 'Asks a question', test: f => f.hasQuestion, add: 'Phrase it as a question', remove: 'Make it a statement rather than a question' },
+  { pattern: 'brackets', label: 'Has (brackets) or [brackets]', test: f => f.hasBrackets, add: 'Add a bracketed tag like [Guide] or (2026)', remove: 'Drop the brackets' },
+  { pattern: 'allCaps', label: 'Has an ALL-CAPS word', test: f => f.allCapsWords > 0, add: 'Put one key word in CAPS', remove: 'Avoid ALL-CAPS words' },
+  { pattern: 'emoji', label: 'Contains emoji', test: f => f.hasEmoji, add: 'Add an emoji', remove: 'Drop the emoji' },
+  { pattern: 'powerWord', label: 'Uses a power word', test: f => f.powerWords.length > 0, add: 'Use a power word such as "easy", "secret" or "mistakes"', remove: 'Tone down the power words' },
+  { pattern: 'short', label: 'Under 40 characters', test: f => f.length < 40, add: 'Cut it to under 40 characters', remove: 'Use at least 40 characters' },
+  { pattern: 'medium', label: '40-60 characters', test: f => f.length >= 40 && f.length <= 60, add: 'Aim for 40-60 characters', remove: null },
+  { pattern: 'long', label: 'Over 60 characters', test: f => f.length > 60, add: 'Use more than 60 characters', remove: 'Cut it to 60 characters or fewer' }
+];
+
+// Numeric features rank-correlated with performance
+const CORRELATED_FEATURES = ['length', 'words', 'allCapsWords'];
+
+// Below this many videos on either side a pattern says nothing
+const MIN_GROUP_SIZE = 2;
+// Median views/day this many times the rest (or its inverse) counts as over- or underperforming
+const LIFT_THRESHOLD = 1.2;
+// Young videos' views/day is inflated, so only settled ones are compared when there are enough
+const MIN_MATURE_VIDEOS = 4;
+
+class TitleAnalyticsService {
+  constructor() {
+    this.performance = new PerformanceAnalyticsService();
+  }
+
+  extractFeatures(title) {
+    const text = String(title || '');
+    const words = text.match(/[\p{L}\p{N}']+/gu) || [];
+
+    return {
+      // Counted in characters as people see them, so an emoji is one
+      length: Array.from(text).length,
+      words: words.length,
+      hasNumber: /\d/.test(text),
+      hasQuestion: text.includes('?'),
+      hasBrackets: /[[\](){}【】]/.test(text),
+      // Three letters or more, so "I" and "TV" don't count as shouting
+      allCapsWords: words.filter(word => /^\p{Lu}{3,}$/u.test(word)).length,
+      hasEmoji: /\p{Extended_Pictographic}/u.test(text),
+      powerWords: [...new Set(words.map(word => word.toLowerCase()).filter(word => POWER_WORDS.has(word)))]
+    };
+  }
+
+  analyze(videos, now = new Date()) {
+    const mature = videos.filter(v => this.performance.isMature(v, now));
+    const sample = mature.length >= MIN_MATURE_VIDEOS ? mature : videos;
+
+    const rows = sample.map(video => {
+      const { views, likes } = this.performance.parseStats(video);
+      return {
+        videoId: video.videoId,
+        title: video.title,
+        isShort: Boolean(video.isShort),
+        features: this.extractFeatures(video.title),
+        viewsPerDay: parseFloat(this.performance.viewsPerDay(video, now).toFixed(1)),
+        // Percent of viewers who liked; null when likes are hidden
+        likeRate: likes === null || views === 0 ? null : parseFloat(((likes / views) * 100).toFixed(2))
+      };
+    });
+    this.relativeToFormat(rows, 'viewsPerDay', 'relativeViewsPerDay');
+    this.relativeToFormat(rows, 'likeRate', 'relativeLikeRate');
+
+    const patterns = PATTERNS
+      .map(pattern => this.comparePattern(pattern, rows))
+      .sort((a, b) => (b.viewsPerDay.lift || 0) - (a.viewsPerDay.lift || 0));
+
+    return {
+      videosAnalyzed: rows.length,
+      excludedRecent: videos.length - rows.length,
+      baseline: {
+        medianViewsPerDay: parseFloat(this.performance.median(rows.map(r => r.viewsPerDay)).toFixed(1)),
+        medianLikeRate: this.medianOrNull(rows.map(r => r.likeRate))
+      },
+      patterns,
+      overperforming: patterns.filter(p => p.verdict === 'overperforms').map(p => p.pattern),
+      underperforming: patterns.filter(p => p.verdict === 'underperforms').map(p => p.pattern),
+      correlations: CORRELATED_FEATURES.map(feature => ({
+        feature,
+        viewsPerDay: this.spearman(rows.filter(r => r.relativeViewsPerDay !== null).map(r => [r.features[feature], r.relativeViewsPerDay])),
+        likeRate: this.spearman(rows.filter(r => r.relativeLikeRate !== null).map(r => [r.features[feature], r.relativeLikeRate]))
+      })),
+      videos: rows
+    };
+  }
+
+  // Shorts and long-form videos draw very different views and like rates, so each video is
+  // measured against the median of its own format (1 = typical) before titles are compared
+  relativeToFormat(rows, key, relativeKey) {
+    [true, false].forEach(isShort => {
+      const group = rows.filter(r => r.isShort === isShort);
+      const median = this.medianOrNull(group.map(r => r[key]));
+      group.forEach(r => {
+        r[relativeKey] = r[key] !== null && median ? parseFloat((r[key] / median).toFixed(2)) : null;
+      });
+    });
+  }
+
+  // Median relative views/day and like rate with the pattern against without it. Medians
+  // keep one viral video from making its title's every feature look like a winner. The
+  // verdict follows views/day; like rate is reported alongside.
+  comparePattern({ pattern, label, test }, rows) {
+    const withPattern = rows.filter(r => test(r.features));
+    const without = rows.filter(r => !test(r.features));
+    const compare = (a, b) => {
+      const withValue = this.medianOrNull(a);
+      const withoutValue = this.medianOrNull(b);
+      return {
+        with: withValue,
+        without: withoutValue,
+        lift: withValue !== null && withoutValue ? parseFloat((withValue / withoutValue).toFixed(2)) : null
+      };
+    };
+
+    const enough = withPattern.length >= MIN_GROUP_SIZE && without.length >= MIN_GROUP_SIZE;
+    const viewsPerDay = enough
+      ? compare(withPattern.map(r => r.relativeViewsPerDay), without.map(r => r.relativeViewsPerDay))
+      : { with: null, without: null, lift: null };
+    const likeRate = enough
+      ? compare(withPattern.map(r => r.relativeLikeRate), without.map(r => r.relativeLikeRate))
+      : { with: null, without: null, lift: null };
+
+    let verdict = 'insufficient data';
+    if (viewsPerDay.lift !== null) {
+      verdict = viewsPerDay.lift >= LIFT_THRESHOLD ? 'overperforms' : viewsPerDay.lift <= 1 / LIFT_THRESHOLD ? 'underperforms' : 'neutral';
+    }
+
+    return { pattern, label, videosWith: withPattern.length, videosWithout: without.length, viewsPerDay, likeRate, verdict };
+  }
+
+  medianOrNull(values) {
+    const present = values.filter(v => v !== null);
+    return present.length > 0 ? parseFloat(this.performance.median(present).toFixed(2)) : null;
+  }
+
+  // Spearman rank correlation of [x, y] pairs; null with fewer than 3 pairs or no spread
+  spearman(pairs) {
+    if (pairs.length < 3) return null;
+
+    // Tied values share the average of their ranks
+    const rank = values => {
+      const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+      const ranks = new Array(values.length);
+      for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+        for (let k = start; k <= end; k++) ranks[order[k].i] = (start + end) / 2 + 1;
+        start = end + 1;
+      }
+      return ranks;
+    };
+
+    const xs = rank(pairs.map(p => p[0]));
+    const ys = rank(pairs.map(p => p[1]));
+    const mean = values => values.reduce((sum, n) => sum + n, 0) / values.length;
+    const mx = mean(xs);
+    const my = mean(ys);
+    const sxy = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0);
+    const sxx = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+    const syy = ys.reduce((sum, y) => sum + (y - my) ** 2, 0);
+    if (sxx === 0 || syy === 0) return null;
+
+    return parseFloat((sxy / Math.sqrt(sxx * syy)).toFixed(3));
+  }
+
+  // Scores a draft against a channel's learned patterns. The draft's expected lift is the
+  // product of the lifts of the over- and underperforming patterns it has, treating them
+  // as independent; 50 is a typical title for the channel and each doubling adds 25.
+  scoreDraft(title, titlePatterns) {
+    const features = this.extractFeatures(title);
+    const definitions = new Map(PATTERNS.map(p => [p.pattern, p]));
+
+    const matches = titlePatterns.patterns
+      .filter(p => p.verdict === 'overperforms' || p.verdict === 'underperforms')
+      .map(p => ({
+        pattern: p.pattern,
+        label: p.label,
+        verdict: p.verdict,
+        viewsLift: p.viewsPerDay.lift,
+        has: definitions.get(p.pattern).test(features)
+      }));
+
+    const expectedLift = matches.filter(m => m.has).reduce((product, m) => product * m.viewsLift, 1);
+    const score = Math.round(Math.min(Math.max(50 + 25 * Math.log2(expectedLift), 0), 100));
+
+    const suggestions = matches
+      .map(m => {
+        const advice = m.verdict === 'overperforms' && !m.has ? definitions.get(m.pattern).add
+          : m.verdict === 'underperforms' && m.has ? definitions.get(m.pattern).remove
+            : null;
+        return advice ? { pattern: m.pattern, advice, viewsLift: m.viewsLift } : null;
+      })
+      .filter(Boolean)
+      // Biggest effect first, whichever direction it goes
+      .sort((a, b) => Math.abs(Math.log(b.viewsLift)) - Math.abs(Math.log(a.viewsLift)));
+
+    return {
+      title,
+      features,
+      score,
+      expectedLift: parseFloat(expectedLift.toFixed(2)),
+      matches,
+      suggestions,
+      basedOn: titlePatterns.videosAnalyzed
+    };
+  }
+}
+
+module.exports = TitleAnalyticsService;
@@ -0,0 +1,62 @@
+// Splits transcripts into pieces that fit an LLM token budget. Tokens are estimated
+// at ~4 characters each, which is close enough for English across the providers we use.
+const CHARS_PER_TOKEN = 4;
+
+class TranscriptChunker {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || 1500;
+    this.overlapTokens = options.overlapTokens !== undefined ? options.overlapTokens : 100;
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  // Sentence boundaries when the captions are punctuated; auto-captions often aren't,
+  // so anything still over budget is split on words
+  splitUnits(text) {
+    const maxChars = this.maxTokens * CHARS_PER_TOKEN;
+
+    return text.split(/(?<=[.!?])\s+/).flatMap(sentence => {
+      if (sentence.length <= maxChars) return [sentence];
+
+      const pieces = [];
+      let piece = '';
+      sentence.split(/\s+/).forEach(word => {
+        if (piece && piece.length + word.length + 1 > maxChars) {
+          pieces.push(piece);
+          piece = '';
+        }
+        piece = piece ? `${piece} ${word}` : word;
+      });
+      if (piece) pieces.push(piece);
+      return pieces;
+    });
+  }
+
+  // Consecutive chunks share ~overlapTokens of text so a topic spanning a boundary isn't lost
+  chunk(text) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return [];
+
+    const maxChars = this.maxTokens * CHARS_PER_TOKEN;
+    const overlapChars = this.overlapTokens * CHARS_PER_TOKEN;
+    const chunks = [];
+    let current = '';
+
+    this.splitUnits(clean).forEach(unit => {
+      if (current && current.length + unit.length + 1 > maxChars) {
+        chunks.push(current);
+        const tail = current.slice(-overlapChars);
+        const carried = tail.includes(' ') && tail.length < current.length ? tail.slice(tail.indexOf(' ') + 1) : '';
+        current = carried && carried.length + unit.length + 1 <= maxChars ? carried : '';
+      }
+      current = current ? `${current} ${unit}` : unit;
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+  }
+}
+
+module.exports = TranscriptChunker;
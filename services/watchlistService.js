@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_WORKSPACE } = require('./apiKeyService');
+
+const SCHEDULES = ['daily', 'weekly'];
+const MAX_RUNS_KEPT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WatchlistService {
+  constructor(dataDir, runAnalysis, options = {}) {
+    this.file = path.join(dataDir, 'watchlist.json');
+    this.runAnalysis = runAnalysis;
+    this.tickInterval = options.tickInterval || 60 * 1000;
+    this.entries = [];
+    this.queue = [];
+    // Who asked for each manual run waiting in the queue; scheduled runs have no entry here
+    this.manualRuns = new Map();
+    this.running = null;
+    this.draining = false;
+    this.timer = null;
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.file, 'utf8')
+        .then(raw => {
+          // Entries saved before workspaces existed belong to the default one
+          this.entries = JSON.parse(raw).map(e => ({ workspace: DEFAULT_WORKSPACE, ...e }));
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          this.entries = [];
+        });
+    }
+    return this.loaded;
+  }
+
+  save() {
+    // Chain writes so two quick updates can't interleave on disk
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.entries, null, 2));
+      });
+    return this.saving;
+  }
+
+  validateEntry(fields, { partial = false } = {}) {
+    if (!partial || fields.channelHandle !== undefined) {
+      if (typeof fields.channelHandle !== 'string' || fields.channelHandle.trim() === '') {
+        return 'Channel handle is required';
+      }
+    }
+    if (fields.schedule !== undefined && !SCHEDULES.includes(fields.schedule)) {
+      return `Schedule must be one of: ${SCHEDULES.join(', ')}`;
+    }
+    if (fields.hour !== undefined && !(Number.isInteger(fields.hour) && fields.hour >= 0 && fields.hour <= 23)) {
+      return 'Hour must be an integer from 0 to 23 (UTC)';
+    }
+    if (fields.dayOfWeek !== undefined && !(Number.isInteger(fields.dayOfWeek) && fields.dayOfWeek >= 0 && fields.dayOfWeek <= 6)) {
+      return 'Day of week must be an integer from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+      return 'Enabled must be true or false';
+    }
+    return null;
+  }
+
+  // Next UTC time matching the entry's hour (and weekday for weekly schedules) after `from`
+  computeNextRun(entry, from = new Date()) {
+    const next = new Date(from);
+    next.setUTCHours(entry.hour, 0, 0, 0);
+    if (next <= from) next.setTime(next.getTime() + DAY_MS);
+
+    if (entry.schedule === 'weekly') {
+      while (next.getUTCDay() !== entry.dayOfWeek) {
+        next.setTime(next.getTime() + DAY_MS);
+      }
+    }
+    return next.toISOString();
+  }
+
+  // Every workspace's entries unless one is given
+  async list(workspace = null) {
+    await this.load();
+    return workspace ? this.entries.filter(e => e.workspace === workspace) : this.entries;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.entries.find(e => e.id === id) || null;
+  }
+
+  // createdBy is the ID of the API key adding the entry, whose limits scheduled runs spend
+  async add(fields, workspace = DEFAULT_WORKSPACE, createdBy = null) {
+    await this.load();
+
+    const entry = {
+      id: crypto.randomUUID(),
+      workspace,
+      createdBy,
+      channelHandle: fields.channelHandle.trim(),
+      schedule: fields.schedule || 'daily',
+      hour: fields.hour !== undefined ? fields.hour : 6,
+      dayOfWeek: fields.dayOfWeek !== undefined ? fields.dayOfWeek : 1,
+      enabled: fields.enabled !== undefined ? fields.enabled : true,
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastStatus: null,
+      nextRunAt: null,
+      runs: []
+    };
+    entry.nextRunAt = this.computeNextRun(entry);
+
+    this.entries.push(entry);
+    await this.save();
+    return entry;
+  }
+
+  async update(id, fields) {
+    const entry = await this.get(id);
+    if (!entry) return null;
+
+    ['schedule', 'hour', 'dayOfWeek', 'enabled'].forEach(key => {
+      if (fields[key] !== undefined) entry[key] = fields[key];
+    });
+    if (fields.channelHandle !== undefined) entry.channelHandle = fields.channelHandle.trim();
+    entry.nextRunAt = this.computeNextRun(entry);
+
+    await this.save();
+    return entry;
+  }
+
+  async remove(id) {
+    await this.load();
+    const index = this.entries.findIndex(e => e.id === id);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+    this.manualRuns.delete(id);
+    await this.save();
+    return true;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('❌ Watchlist tick failed:', error.message));
+    }, this.tickInterval);
+    this.tick().catch(error => console.error('❌ Watchlist tick failed:', error.message));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick(now = new Date()) {
+    await this.load();
+    this.entries
+      .filter(e => e.enabled && e.nextRunAt && new Date(e.nextRunAt) <= now)
+      .forEach(e => this.enqueue(e.id));
+  }
+
+  isQueued(id) {
+    return this.queue.includes(id) || Boolean(this.running && this.running.id === id);
+  }
+
+  // auth is the caller's for a manual run; scheduled runs are queued without one
+  enqueue(id, auth = null) {
+    const alreadyQueued = this.isQueued(id);
+    if (!alreadyQueued) {
+      if (auth) this.manualRuns.set(id, auth);
+      this.queue.push(id);
+      this.drain();
+    }
+    return !alreadyQueued;
+  }
+
+  // Jobs run strictly one at a time so scheduled runs never compete for API quota
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    while (this.queue.length > 0) {
+      const id = this.queue.shift();
+      const auth = this.manualRuns.get(id) || null;
+      this.manualRuns.delete(id);
+      const entry = await this.get(id);
+      if (!entry) continue;
+
+      this.running = entry;
+      try {
+        await this.runEntry(entry, auth);
+      } catch (error) {
+        console.error(`❌ Failed to record run for ${entry.channelHandle}:`, error.message);
+      } finally {
+        this.running = null;
+      }
+    }
+
+    this.draining = false;
+  }
+
+  // A manual run spends the limits of the auth that asked for it; a scheduled one (no auth)
+  // is left to runAnalysis to charge to entry.createdBy
+  async runEntry(entry, auth = null) {
+    const run = { startedAt: new Date().toISOString(), finishedAt: null, status: 'running' };
+    console.log(`\n⏰ Scheduled re-analysis: ${entry.channelHandle}`);
+
+    try {
+      const analysis = await this.runAnalysis(entry.channelHandle, { workspace: entry.workspace, auth, createdBy: entry.createdBy || null });
+      run.status = 'success';
+      run.snapshotId = analysis.analysisId || null;
+    } catch (error) {
+      console.error(`❌ Scheduled analysis failed for ${entry.channelHandle}:`, error.message);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date().toISOString();
+    entry.lastRunAt = run.finishedAt;
+    entry.lastStatus = run.status;
+    entry.nextRunAt = this.computeNextRun(entry);
+    entry.runs = [run, ...entry.runs].slice(0, MAX_RUNS_KEPT);
+
+    await this.save();
+    return run;
+  }
+
+  // Given a workspace, another workspace's running channel isn't named
+  getStatus(workspace = null) {
+    const visible = this.running && (!workspace || this.running.workspace === workspace);
+    return {
+      running: visible ? this.running.channelHandle : null,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = WatchlistService;
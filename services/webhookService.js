@@ -0,0 +1,276 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { DEFAULT_WORKSPACE } = require('./apiKeyService');
+
+const MIN_SECRET_LENGTH = 16;
+
+// Receivers check X-PulseInsight-Signature against HMAC-SHA256(secret, "<timestamp>.<body>")
+// with the X-PulseInsight-Timestamp header, and can reject stale timestamps to stop replays
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Loopback, private, link-local (cloud metadata) and carrier-grade NAT addresses: a webhook
+// pointed at them would let API keys probe the server's own network
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped, either dotted or as the URL parser normalises it (::ffff:7f00:1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (hex) {
+      const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  return false;
+}
+
+// Hostnames that are private without a DNS lookup: localhost and IP literals
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+class WebhookService {
+  constructor(dataDir, options = {}) {
+    this.file = path.join(dataDir, 'webhooks.json');
+    this.maxAttempts = options.maxAttempts || 4;
+    // Doubles after each failed attempt: 1s, 2s, 4s by default
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    this.timeout = options.timeout || 10000;
+    // Off by default; turn on to deliver to receivers on the local network
+    this.allowPrivateTargets = Boolean(options.allowPrivateTargets);
+    this.lookup = this.lookup.bind(this);
+    this.webhooks = [];
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.file, 'utf8')
+        .then(raw => {
+          // Webhooks saved before workspaces existed belong to the default one
+          this.webhooks = JSON.parse(raw).map(w => ({ workspace: DEFAULT_WORKSPACE, ...w }));
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+          this.webhooks = [];
+        });
+    }
+    return this.loaded;
+  }
+
+  save() {
+    // Chain writes so two quick updates can't interleave on disk
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(this.file, JSON.stringify(this.webhooks, null, 2));
+      });
+    return this.saving;
+  }
+
+  validateWebhook(fields, { partial = false } = {}) {
+    if (!partial || fields.url !== undefined) {
+      let url;
+      try {
+        url = new URL(fields.url);
+      } catch (error) {
+        return 'URL must be an absolute http(s) URL';
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'URL must be an absolute http(s) URL';
+      }
+      if (!this.allowPrivateTargets && isPrivateHost(url.hostname)) {
+        return 'URL must not point at a loopback, private or link-local address';
+      }
+    }
+    if (fields.secret !== undefined && (typeof fields.secret !== 'string' || fields.secret.length < MIN_SECRET_LENGTH)) {
+      return `Secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+    }
+    if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+      return 'Enabled must be true or false';
+    }
+    return null;
+  }
+
+  // The secret is only shown when the webhook is created
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  // Every workspace's webhooks unless one is given
+  async list(workspace = null) {
+    await this.load();
+    return workspace ? this.webhooks.filter(w => w.workspace === workspace) : this.webhooks;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.webhooks.find(w => w.id === id) || null;
+  }
+
+  async add(fields, workspace = DEFAULT_WORKSPACE) {
+    await this.load();
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      workspace,
+      url: fields.url,
+      secret: fields.secret || crypto.randomBytes(32).toString('hex'),
+      enabled: fields.enabled !== undefined ? fields.enabled : true,
+      createdAt: new Date().toISOString(),
+      lastDelivery: null
+    };
+
+    this.webhooks.push(webhook);
+    await this.save();
+    return webhook;
+  }
+
+  async update(id, fields) {
+    const webhook = await this.get(id);
+    if (!webhook) return null;
+
+    ['url', 'secret', 'enabled'].forEach(key => {
+      if (fields[key] !== undefined) webhook[key] = fields[key];
+    });
+
+    await this.save();
+    return webhook;
+  }
+
+  async remove(id) {
+    await this.load();
+    const index = this.webhooks.findIndex(w => w.id === id);
+    if (index === -1) return false;
+
+    this.webhooks.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  // Alert sink: every enabled webhook of the alert's workspace gets it
+  async send(alert) {
+    await this.load();
+    const workspace = alert.workspace || DEFAULT_WORKSPACE;
+    return Promise.all(this.webhooks
+      .filter(w => w.enabled && w.workspace === workspace)
+      .map(w => this.deliver(w, 'alert', alert)));
+  }
+
+  // dns.lookup for deliveries: a public hostname that resolves to a private address is
+  // refused at connect time, so re-pointing its DNS after validation doesn't get through
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (!this.allowPrivateTargets && addresses.some(entry => isPrivateAddress(entry.address))) {
+        return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATETARGET' }));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // Posts the event, retrying network errors, 5xx and 429 with exponential backoff. The
+  // delivery ID stays the same across retries so receivers can drop duplicates; the
+  // timestamp and signature are fresh on each attempt.
+  async deliver(webhook, event, data) {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+    const delivery = { id: deliveryId, event, status: 'failed', attempts: 0, responseStatus: null, error: null };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      delivery.attempts = attempt;
+
+      let retryable;
+      try {
+        // Webhooks stored before private targets were refused are checked here too
+        if (!this.allowPrivateTargets && isPrivateHost(new URL(webhook.url).hostname)) {
+          throw Object.assign(new Error('URL points at a loopback, private or link-local address'), { code: 'EPRIVATETARGET' });
+        }
+
+        const response = await axios.post(webhook.url, body, {
+          timeout: this.timeout,
+          lookup: this.lookup,
+          // A redirect could lead anywhere, including the addresses refused above
+          maxRedirects: 0,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PulseInsight-Webhooks',
+            'X-PulseInsight-Event': event,
+            'X-PulseInsight-Delivery': deliveryId,
+            'X-PulseInsight-Timestamp': String(timestamp),
+            'X-PulseInsight-Signature': sign(webhook.secret, timestamp, body)
+          },
+          // Status codes are judged below rather than thrown
+          validateStatus: () => true
+        });
+
+        delivery.responseStatus = response.status;
+        if (response.status >= 200 && response.status < 300) {
+          delivery.status = 'delivered';
+          delivery.error = null;
+          break;
+        }
+        delivery.error = `Receiver answered ${response.status}`;
+        // Client errors won't fix themselves on retry, except rate limits
+        retryable = response.status === 429 || response.status >= 500;
+      } catch (error) {
+        delivery.responseStatus = null;
+        delivery.error = error.message;
+        // A refused target stays refused
+        retryable = error.code !== 'EPRIVATETARGET' && !(error.cause && error.cause.code === 'EPRIVATETARGET');
+      }
+
+      if (!retryable || attempt === this.maxAttempts) break;
+
+      const delay = this.retryDelay * Math.pow(2, attempt - 1);
+      console.log(`Webhook ${webhook.url} failed (${delivery.error}), retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (delivery.status === 'failed') {
+      console.error(`❌ Webhook delivery ${deliveryId} to ${webhook.url} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+    }
+
+    delivery.at = new Date().toISOString();
+    // The webhook may have been removed or edited while the delivery was retrying
+    const current = await this.get(webhook.id);
+    if (current) {
+      current.lastDelivery = delivery;
+      await this.save();
+    }
+    return delivery;
+  }
+}
+
+module.exports = WebhookService;
+module.exports.sign = sign;
+module.exports.verifySignature = verifySignature;
+module.exports.isPrivateAddress = isPrivateAddress;
@@ -1,127 +1,525 @@
 const axios = require('axios');
 const { YoutubeTranscript } = require('youtube-transcript');
+const { QuotaExceededError } = require('./quotaService');
+
+const MAX_VIDEOS = 100;
+const MAX_PAGES = 10;
+const CONTENT_TYPES = ['all', 'shorts', 'long'];
+const SHORTS_MAX_SECONDS = parseInt(process.env.SHORTS_MAX_SECONDS) || 60;
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+const MAX_COMMENTS_PER_VIDEO = 1000;
+// Threads get up to 5 replies inline; only this many threads per video have their full reply list fetched
+const MAX_REPLY_THREADS = 5;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Thrown when search returns several plausible channels; carries them so the UI can ask the user
+class AmbiguousChannelError extends Error {
+  constructor(input, candidates) {
+    super(`"${input}" matches several channels, pick one by channel ID`);
+    this.name = 'AmbiguousChannelError';
+    this.candidates = candidates;
+  }
+}
+
+// Cache bucket (and TTL) for each Data API endpoint
+const CACHE_TYPES = {
+  search: 'channelLookup',
+  channels: 'channelStats',
+  playlistItems: 'videoList',
+  videos: 'videoStats',
+  commentThreads: 'comments',
+  comments: 'comments'
+};
+
+// Errors that callers need to recognise pass through untouched; anything else gets context
+function wrapError(prefix, error) {
+  if (error instanceof AmbiguousChannelError || error instanceof QuotaExceededError) return error;
+  return new Error(`${prefix}: ${error.message}`);
+}
 
 class YouTubeService {
-  constructor(apiKey) {
+  constructor(apiKey, quotaService = null, cacheService = null, fixtureService = null) {
     this.apiKey = apiKey;
+    this.quotaService = quotaService;
+    this.cacheService = cacheService;
+    // Records or replays API responses and caption tracks (see FixtureService)
+    this.fixtureService = fixtureService;
     this.baseURL = 'https://www.googleapis.com/youtube/v3';
   }
 
-  async getChannelId(channelHandle) {
+  // Every Data API request goes through here so its quota cost is recorded and,
+  // when a cache is configured, repeat requests are answered without spending quota.
+  // `request` carries the per-analysis { signal, forceRefresh, auth } options; auth is the
+  // calling API key, whose share of the quota the request counts against.
+  async apiGet(endpoint, params, request = {}) {
+    const key = `${endpoint}?${JSON.stringify(params, Object.keys(params).sort())}`;
+
+    const fetch = async () => {
+      // Quota is charged outside the fixture so recordings only hold real YouTube responses,
+      // never a local quota refusal, and replayed responses don't spend quota
+      if (this.quotaService && !(this.fixtureService && this.fixtureService.mode === 'replay')) {
+        await this.quotaService.record(endpoint, request.auth);
+      }
+
+      const call = async () => {
+        const response = await axios.get(`${this.baseURL}/${endpoint}`, {
+          params: { ...params, key: this.apiKey },
+          signal: request.signal
+        });
+        return response.data;
+      };
+
+      return this.fixtureService ? this.fixtureService.wrap('youtube', key, call) : call();
+    };
+
+    if (!this.cacheService) {
+      return { data: await fetch() };
+    }
+
+    const data = await this.cacheService.wrap(CACHE_TYPES[endpoint], key, fetch, request);
+    return { data };
+  }
+
+  // Accepts @handle, youtube.com/@handle, /channel/UC..., /c/name, /user/name URLs,
+  // raw channel IDs, or free text (which falls back to search)
+  parseChannelInput(input) {
+    const value = String(input).trim();
+
+    let path = value;
+    const urlMatch = /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com(\/[^?#]*)/i.exec(value);
+    if (urlMatch) path = urlMatch[1];
+
+    const segments = path.split('/').filter(Boolean);
+    const [first, second] = segments;
+
+    if (urlMatch || path.startsWith('/')) {
+      if (first && first.startsWith('@')) return { type: 'handle', value: decodeURIComponent(first) };
+      if (first === 'channel' && second) return { type: 'id', value: second };
+      if (first === 'c' && second) return { type: 'custom', value: decodeURIComponent(second) };
+      if (first === 'user' && second) return { type: 'user', value: decodeURIComponent(second) };
+      if (first && segments.length === 1) return { type: 'custom', value: decodeURIComponent(first) };
+    }
+
+    if (CHANNEL_ID_PATTERN.test(value)) return { type: 'id', value };
+    if (value.startsWith('@')) return { type: 'handle', value };
+    if (/^[A-Za-z0-9._-]+$/.test(value)) return { type: 'custom', value };
+    return { type: 'query', value };
+  }
+
+  toResolvedChannel(channel, input, matchedBy) {
+    return {
+      channelId: channel.id,
+      title: channel.snippet.title,
+      handle: channel.snippet.customUrl || null,
+      thumbnail: channel.snippet.thumbnails && channel.snippet.thumbnails.default
+        ? channel.snippet.thumbnails.default.url
+        : null,
+      input,
+      matchedBy
+    };
+  }
+
+  async lookupChannel(params, request = {}) {
+    const response = await this.apiGet('channels', { part: 'snippet', ...params }, request);
+    return (response.data.items || [])[0] || null;
+  }
+
+  // Direct channels lookups cost 1 quota unit; search costs 100 and is only the last resort
+  async resolveChannel(input, request = {}) {
     try {
-      const handle = channelHandle.replace('@', '');
-      
-      const response = await axios.get(`${this.baseURL}/search`, {
-        params: {
-          part: 'snippet',
-          q: handle,
-          type: 'channel',
-          maxResults: 1,
-          key: this.apiKey
-        }
-      });
+      const parsed = this.parseChannelInput(input);
+      const lookups = {
+        id: [['id', { id: parsed.value }]],
+        handle: [['handle', { forHandle: parsed.value }]],
+        user: [['username', { forUsername: parsed.value }], ['handle', { forHandle: `@${parsed.value}` }]],
+        custom: [['handle', { forHandle: `@${parsed.value}` }], ['username', { forUsername: parsed.value }]],
+        query: []
+      }[parsed.type];
+
+      for (const [matchedBy, params] of lookups) {
+        const channel = await this.lookupChannel(params, request);
+        if (channel) return this.toResolvedChannel(channel, input, matchedBy);
+      }
 
-      if (response.data.items.length === 0) {
+      // Channel IDs are exact, so there's nothing to search for when the lookup misses
+      if (parsed.type === 'id') {
         throw new Error('Channel not found');
       }
 
-      return response.data.items[0].snippet.channelId;
+      return await this.searchChannel(parsed.value.replace(/^@/, ''), input, request);
     } catch (error) {
-      throw new Error(`Error finding channel: ${error.message}`);
+      throw wrapError('Error finding channel', error);
     }
   }
 
-  async getLatestVideos(channelId) {
-    try {
-      const response = await axios.get(`${this.baseURL}/search`, {
-        params: {
-          part: 'snippet',
-          channelId: channelId,
-          order: 'date',
-          type: 'video',
-          maxResults: 10,
-          key: this.apiKey
-        }
-      });
+  async searchChannel(query, input, request = {}) {
+    const response = await this.apiGet('search', {
+      part: 'snippet',
+      q: query,
+      type: 'channel',
+      maxResults: 5
+    }, request);
 
-      return response.data.items.map(item => ({
-        videoId: item.id.videoId,
-        title: item.snippet.title,
-        description: item.snippet.description,
-        publishedAt: item.snippet.publishedAt,
-        thumbnails: item.snippet.thumbnails
-      }));
-    } catch (error) {
-      throw new Error(`Error fetching videos: ${error.message}`);
+    const candidates = response.data.items.map(item => ({
+      channelId: item.snippet.channelId,
+      title: item.snippet.title,
+      description: item.snippet.description,
+      thumbnail: item.snippet.thumbnails && item.snippet.thumbnails.default
+        ? item.snippet.thumbnails.default.url
+        : null
+    }));
+
+    if (candidates.length === 0) {
+      throw new Error('Channel not found');
     }
+
+    const normalized = query.toLowerCase().replace(/\s+/g, '');
+    const exact = candidates.filter(c => c.title.toLowerCase().replace(/\s+/g, '') === normalized);
+
+    if (candidates.length === 1 || exact.length === 1) {
+      const match = exact[0] || candidates[0];
+      return { channelId: match.channelId, title: match.title, handle: null, thumbnail: match.thumbnail, input, matchedBy: 'search' };
+    }
+
+    throw new AmbiguousChannelError(input, candidates);
   }
 
-  async getTranscript(videoId) {
+  // Lists uploads newest first via the channel's uploads playlist (1 unit per page vs 100 for search)
+  async getLatestVideos(uploadsPlaylistId, options = {}, request = {}) {
     try {
-      const transcript = await YoutubeTranscript.fetchTranscript(videoId);
-      const fullTranscript = transcript.map(item => item.text).join(' ');
-      return fullTranscript;
+      const response = await this.apiGet('playlistItems', {
+        part: 'snippet,contentDetails',
+        playlistId: uploadsPlaylistId,
+        maxResults: Math.min(options.maxResults || 10, 50),
+        pageToken: options.pageToken
+      }, request);
+
+      return {
+        // Private and deleted uploads have no publish date
+        videos: response.data.items
+          .filter(item => item.contentDetails && item.contentDetails.videoPublishedAt)
+          .map(item => ({
+            videoId: item.contentDetails.videoId,
+            title: item.snippet.title,
+            description: item.snippet.description,
+            publishedAt: item.contentDetails.videoPublishedAt,
+            thumbnails: item.snippet.thumbnails
+          })),
+        nextPageToken: response.data.nextPageToken || null
+      };
     } catch (error) {
-      console.log(`No transcript available for video ${videoId}`);
-      return null;
+      throw wrapError('Error fetching videos', error);
+    }
+  }
+
+  validateSampling(sampling = {}) {
+    const { maxVideos, publishedAfter, publishedBefore, contentType, maxCommentsPerVideo, includeReplies } = sampling;
+
+    if (maxVideos !== undefined && !(Number.isInteger(maxVideos) && maxVideos >= 1 && maxVideos <= MAX_VIDEOS)) {
+      return `maxVideos must be an integer from 1 to ${MAX_VIDEOS}`;
+    }
+    if (publishedAfter !== undefined && isNaN(Date.parse(publishedAfter))) {
+      return 'publishedAfter must be a valid date';
+    }
+    if (publishedBefore !== undefined && isNaN(Date.parse(publishedBefore))) {
+      return 'publishedBefore must be a valid date';
     }
+    if (publishedAfter !== undefined && publishedBefore !== undefined && Date.parse(publishedAfter) >= Date.parse(publishedBefore)) {
+      return 'publishedAfter must be earlier than publishedBefore';
+    }
+    if (contentType !== undefined && !CONTENT_TYPES.includes(contentType)) {
+      return `contentType must be one of: ${CONTENT_TYPES.join(', ')}`;
+    }
+    if (maxCommentsPerVideo !== undefined && !(Number.isInteger(maxCommentsPerVideo) && maxCommentsPerVideo >= 1 && maxCommentsPerVideo <= MAX_COMMENTS_PER_VIDEO)) {
+      return `maxCommentsPerVideo must be an integer from 1 to ${MAX_COMMENTS_PER_VIDEO}`;
+    }
+    if (includeReplies !== undefined && typeof includeReplies !== 'boolean') {
+      return 'includeReplies must be true or false';
+    }
+    return null;
+  }
+
+  normalizeSampling(sampling = {}) {
+    return {
+      maxVideos: sampling.maxVideos || 10,
+      publishedAfter: sampling.publishedAfter ? new Date(sampling.publishedAfter).toISOString() : undefined,
+      publishedBefore: sampling.publishedBefore ? new Date(sampling.publishedBefore).toISOString() : undefined,
+      contentType: sampling.contentType || 'all',
+      maxCommentsPerVideo: sampling.maxCommentsPerVideo || 100,
+      includeReplies: sampling.includeReplies !== undefined ? sampling.includeReplies : true
+    };
+  }
+
+  // ISO 8601 durations as returned by the API, e.g. "PT1M30S" or "P1DT2H"
+  parseDuration(duration) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+    if (!match) return null;
+
+    const [, days, hours, minutes, seconds] = match.map(part => parseInt(part || 0));
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  isShort(durationSeconds) {
+    return durationSeconds !== null && durationSeconds <= SHORTS_MAX_SECONDS;
+  }
+
+  // Pages through the uploads playlist until enough videos match the date window and
+  // content type. Stats are fetched here because the Shorts split needs each duration.
+  async sampleVideos(uploadsPlaylistId, sampling, request = {}) {
+    const after = sampling.publishedAfter ? Date.parse(sampling.publishedAfter) : -Infinity;
+    const before = sampling.publishedBefore ? Date.parse(sampling.publishedBefore) : Infinity;
+    const filtered = sampling.contentType !== 'all' || sampling.publishedAfter || sampling.publishedBefore;
+
+    const sampled = [];
+    let pageToken;
+    let pages = 0;
+    let reachedWindowStart = false;
+
+    do {
+      const page = await this.getLatestVideos(uploadsPlaylistId, {
+        maxResults: filtered ? 50 : sampling.maxVideos - sampled.length,
+        pageToken
+      }, request);
+
+      const inWindow = page.videos.filter(video => {
+        const published = Date.parse(video.publishedAt);
+        return published >= after && published < before;
+      });
+      // Uploads are listed newest first, so once we're past the window there's nothing left
+      reachedWindowStart = page.videos.some(video => Date.parse(video.publishedAt) < after);
+
+      const stats = await this.getVideoStats(inWindow.map(video => video.videoId), request);
+      const withStats = inWindow
+        .filter(video => stats.has(video.videoId))
+        .map(video => {
+          const videoStats = stats.get(video.videoId);
+          const durationSeconds = this.parseDuration(videoStats.duration);
+          return { ...video, stats: videoStats, durationSeconds, isShort: this.isShort(durationSeconds) };
+        });
+
+      sampled.push(...withStats.filter(video =>
+        sampling.contentType === 'all' ||
+        (sampling.contentType === 'shorts' ? video.isShort : !video.isShort)
+      ));
+
+      pageToken = page.nextPageToken;
+      pages++;
+    } while (sampled.length < sampling.maxVideos && pageToken && !reachedWindowStart && pages < MAX_PAGES);
+
+    return sampled.slice(0, sampling.maxVideos);
+  }
+
+  // Upper bound on Data API units for resolving the channel and sampling its videos with
+  // their stats. Channel resolution is counted at its cheap path; a search fallback adds 100.
+  estimateVideoListCost(sampling) {
+    const filtered = sampling.contentType !== 'all' || sampling.publishedAfter || sampling.publishedBefore;
+    const pages = filtered ? MAX_PAGES : Math.ceil(sampling.maxVideos / 50);
+    const resolve = 2;
+    const channelStats = 1;
+
+    // One playlistItems page plus one batched videos call per page
+    return resolve + channelStats + pages * 2;
+  }
+
+  // Upper bound on Data API units for one analysis, checked before any request is made
+  estimateAnalysisCost(sampling) {
+    // getReplies pages each of the busiest threads up to the room left under the per-video
+    // cap, so a thread can take as many pages as the top-level threads do
+    const pagesPerCap = Math.ceil(sampling.maxCommentsPerVideo / 100);
+    const commentPages = pagesPerCap + (sampling.includeReplies ? MAX_REPLY_THREADS * pagesPerCap : 0);
+    return this.estimateVideoListCost(sampling) + sampling.maxVideos * commentPages;
+  }
+
+  // Returns { text, segments } where each segment has start/duration in seconds, or null
+  async getTranscript(videoId, request = {}) {
+    const fetch = async () => {
+      try {
+        const transcript = this.fixtureService
+          ? await this.fixtureService.wrap('transcripts', videoId, () => YoutubeTranscript.fetchTranscript(videoId))
+          : await YoutubeTranscript.fetchTranscript(videoId);
+        // Caption text arrives entity-encoded, sometimes twice (&amp;#39;)
+        const segments = transcript
+          .map(item => ({
+            start: parseFloat(item.offset.toFixed(2)),
+            duration: parseFloat(item.duration.toFixed(2)),
+            text: this.decodeEntities(this.decodeEntities(item.text)).replace(/\s+/g, ' ').trim()
+          }))
+          .filter(segment => segment.text);
+        return { text: segments.map(segment => segment.text).join(' '), segments };
+      } catch (error) {
+        console.log(`No transcript available for video ${videoId}`);
+        return null;
+      }
+    };
+
+    // Missing transcripts aren't cached, so captions added later are picked up.
+    // Keyed by format so plain-text entries from before segments were kept are ignored.
+    return this.cacheService
+      ? this.cacheService.wrap('transcripts', `segments:${videoId}`, fetch, request)
+      : fetch();
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+        return isNaN(point) ? entity : String.fromCodePoint(point);
+      }
+      return HTML_ENTITIES[code.toLowerCase()] !== undefined ? HTML_ENTITIES[code.toLowerCase()] : entity;
+    });
   }
 
-  async getTopComments(videoId, maxResults = 50) {
+  // textDisplay is HTML: turn line breaks into newlines, drop tags and decode entities
+  normalizeCommentText(html) {
+    return this.decodeEntities(String(html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, ''))
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  toComment(item, parentId = null) {
+    const snippet = item.snippet;
+    return {
+      commentId: item.id,
+      text: this.normalizeCommentText(snippet.textDisplay),
+      likeCount: snippet.likeCount || 0,
+      author: snippet.authorDisplayName,
+      publishedAt: snippet.publishedAt,
+      isReply: parentId !== null,
+      parentId
+    };
+  }
+
+  async getReplies(parentId, maxResults, request = {}) {
+    const replies = [];
+    let pageToken;
+
+    do {
+      const response = await this.apiGet('comments', {
+        part: 'snippet',
+        parentId,
+        maxResults: 100,
+        pageToken
+      }, request);
+
+      replies.push(...response.data.items.map(item => this.toComment(item, parentId)));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && replies.length < maxResults);
+
+    return replies.slice(0, maxResults);
+  }
+
+  // Pages through relevance-ordered threads up to the cap, with replies, as plain deduped text
+  async getComments(videoId, options = {}, request = {}) {
+    const maxComments = options.maxComments || 100;
+    const includeReplies = options.includeReplies !== false;
+
     try {
-      const response = await axios.get(`${this.baseURL}/commentThreads`, {
-        params: {
-          part: 'snippet',
+      const comments = [];
+      const threadsWithMoreReplies = [];
+      let pageToken;
+
+      do {
+        const response = await this.apiGet('commentThreads', {
+          part: includeReplies ? 'snippet,replies' : 'snippet',
           videoId: videoId,
           order: 'relevance',
-          maxResults: maxResults,
-          key: this.apiKey
-        }
-      });
+          maxResults: 100,
+          pageToken
+        }, request);
+
+        response.data.items.forEach(thread => {
+          const topLevel = this.toComment(thread.snippet.topLevelComment);
+          topLevel.replyCount = thread.snippet.totalReplyCount || 0;
+          comments.push(topLevel);
+
+          if (!includeReplies) return;
+
+          const inlineReplies = thread.replies ? thread.replies.comments : [];
+          comments.push(...inlineReplies.map(reply => this.toComment(reply, topLevel.commentId)));
+          if (topLevel.replyCount > inlineReplies.length) {
+            threadsWithMoreReplies.push(topLevel);
+          }
+        });
+
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && comments.length < maxComments);
 
-      return response.data.items.map(item => ({
-        text: item.snippet.topLevelComment.snippet.textDisplay,
-        likeCount: item.snippet.topLevelComment.snippet.likeCount,
-        author: item.snippet.topLevelComment.snippet.authorDisplayName,
-        publishedAt: item.snippet.topLevelComment.snippet.publishedAt
-      }));
+      // Full reply lists cost a call each, so only the busiest threads get them
+      const busiest = threadsWithMoreReplies
+        .sort((a, b) => b.replyCount - a.replyCount)
+        .slice(0, MAX_REPLY_THREADS);
+
+      for (const thread of busiest) {
+        if (comments.length >= maxComments) break;
+        // Only as many replies as the per-video cap has room for, so no pages are fetched to be thrown away
+        const replies = await this.getReplies(thread.commentId, Math.min(thread.replyCount, maxComments - comments.length), request);
+        const known = new Set(comments.map(c => c.commentId));
+        comments.push(...replies.filter(reply => !known.has(reply.commentId)));
+      }
+
+      return this.dedupeComments(comments).slice(0, maxComments);
     } catch (error) {
+      if (error instanceof QuotaExceededError) throw error;
       console.log(`Error fetching comments for video ${videoId}`);
       return [];
     }
   }
 
-  async getVideoStats(videoId) {
+  // Drops empty comments and copy-pasted duplicates, keeping the most-liked copy
+  dedupeComments(comments) {
+    const byText = new Map();
+
+    comments.forEach(comment => {
+      const key = comment.text.toLowerCase().replace(/\s+/g, ' ');
+      if (!key) return;
+
+      const existing = byText.get(key);
+      if (!existing || comment.likeCount > existing.likeCount) {
+        byText.set(key, comment);
+      }
+    });
+
+    const kept = new Set(byText.values());
+    return comments.filter(comment => kept.has(comment));
+  }
+
+  // Batched: one videos call covers up to 50 IDs. Returns a Map of videoId -> stats.
+  async getVideoStats(videoIds, request = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/videos`, {
-        params: {
+      const stats = new Map();
+
+      for (let i = 0; i < videoIds.length; i += 50) {
+        const response = await this.apiGet('videos', {
           part: 'statistics,contentDetails',
-          id: videoId,
-          key: this.apiKey
-        }
-      });
+          id: videoIds.slice(i, i + 50).join(',')
+        }, request);
 
-      const video = response.data.items[0];
-      return {
-        viewCount: video.statistics.viewCount,
-        likeCount: video.statistics.likeCount,
-        commentCount: video.statistics.commentCount,
-        duration: video.contentDetails.duration
-      };
+        response.data.items.forEach(video => {
+          stats.set(video.id, {
+            viewCount: video.statistics.viewCount,
+            likeCount: video.statistics.likeCount,
+            commentCount: video.statistics.commentCount,
+            duration: video.contentDetails.duration
+          });
+        });
+      }
+
+      return stats;
     } catch (error) {
-      throw new Error(`Error fetching video stats: ${error.message}`);
+      throw wrapError('Error fetching video stats', error);
     }
   }
 
-  async getChannelStats(channelId) {
+  async getChannelStats(channelId, request = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/channels`, {
-        params: {
-          part: 'statistics,snippet',
-          id: channelId,
-          key: this.apiKey
-        }
-      });
+      const response = await this.apiGet('channels', {
+        part: 'statistics,snippet,contentDetails',
+        id: channelId
+      }, request);
 
       const channel = response.data.items[0];
       return {
@@ -130,32 +528,89 @@ class YouTubeService {
         totalVideos: channel.statistics.videoCount,
         channelName: channel.snippet.title,
         channelDescription: channel.snippet.description,
-        publishedAt: channel.snippet.publishedAt
+        publishedAt: channel.snippet.publishedAt,
+        uploadsPlaylistId: channel.contentDetails.relatedPlaylists.uploads
       };
     } catch (error) {
-      throw new Error(`Error fetching channel stats: ${error.message}`);
+      throw wrapError('Error fetching channel stats', error);
     }
   }
 
-  async gatherChannelIntelligence(channelHandle) {
+  // The channel and its sampled videos with stats, without comments or transcripts, for
+  // features that only need the numbers (title scoring)
+  async gatherChannelVideos(channelHandle, options = {}) {
+    const sampling = this.normalizeSampling(options.sampling);
+    const request = { signal: options.signal, forceRefresh: Boolean(options.forceRefresh), auth: options.auth || null };
+
     try {
-      const channelId = await this.getChannelId(channelHandle);
-      const channelStats = await this.getChannelStats(channelId);
-      const videos = await this.getLatestVideos(channelId);
+      if (this.quotaService) {
+        await this.quotaService.assertAvailable(this.estimateVideoListCost(sampling), request.auth);
+      }
+
+      const resolvedChannel = await this.resolveChannel(channelHandle, request);
+      const channelStats = await this.getChannelStats(resolvedChannel.channelId, request);
+      const videos = await this.sampleVideos(channelStats.uploadsPlaylistId, sampling, request);
+      if (videos.length === 0) {
+        throw new Error('No videos found matching the sampling options');
+      }
+
+      return { channelId: resolvedChannel.channelId, channelHandle, resolvedChannel, channelStats, sampling, videos };
+    } catch (error) {
+      throw wrapError('Fetching channel videos failed', error);
+    }
+  }
+
+  async gatherChannelIntelligence(channelHandle, options = {}) {
+    const { onProgress = () => {}, signal } = options;
+    const sampling = this.normalizeSampling(options.sampling);
+    const request = { signal, forceRefresh: Boolean(options.forceRefresh), auth: options.auth || null };
+
+    try {
+      if (this.quotaService) {
+        await this.quotaService.assertAvailable(this.estimateAnalysisCost(sampling), request.auth);
+      }
+
+      const resolvedChannel = await this.resolveChannel(channelHandle, request);
+      const channelId = resolvedChannel.channelId;
+      const channelStats = await this.getChannelStats(channelId, request);
+      onProgress({ type: 'channel', channelId, channelName: channelStats.channelName, resolvedChannel });
+
+      const videos = await this.sampleVideos(channelStats.uploadsPlaylistId, sampling, request);
+      if (videos.length === 0) {
+        throw new Error('No videos found matching the sampling options');
+      }
+      onProgress({ type: 'videos', total: videos.length });
       
+      let fetched = 0;
       const videoData = await Promise.all(
         videos.map(async (video) => {
-          const [transcript, comments, stats] = await Promise.all([
-            this.getTranscript(video.videoId),
-            this.getTopComments(video.videoId, 50),
-            this.getVideoStats(video.videoId)
+          const [transcript, comments] = await Promise.all([
+            this.getTranscript(video.videoId, request),
+            this.getComments(video.videoId, {
+              maxComments: sampling.maxCommentsPerVideo,
+              includeReplies: sampling.includeReplies
+            }, request)
           ]);
 
+          // Transcript and comment failures are swallowed, so check for cancellation explicitly
+          if (signal) signal.throwIfAborted();
+
+          fetched++;
+          onProgress({
+            type: 'video',
+            videoId: video.videoId,
+            title: video.title,
+            index: fetched,
+            total: videos.length,
+            comments: comments.length,
+            hasTranscript: Boolean(transcript)
+          });
+
           return {
             ...video,
-            transcript,
-            comments,
-            stats
+            transcript: transcript ? transcript.text : null,
+            transcriptSegments: transcript ? transcript.segments : [],
+            comments
           };
         })
       );
@@ -163,15 +618,18 @@ class YouTubeService {
       return {
         channelId,
         channelHandle,
+        resolvedChannel,
         channelStats,
+        sampling,
         videos: videoData,
         totalVideosAnalyzed: videoData.length,
         totalComments: videoData.reduce((sum, v) => sum + v.comments.length, 0)
       };
     } catch (error) {
-      throw new Error(`Intelligence gathering failed: ${error.message}`);
+      throw wrapError('Intelligence gathering failed', error);
     }
   }
 }
 
 module.exports = YouTubeService;
+module.exports.AmbiguousChannelError = AmbiguousChannelError;
@@ -0,0 +1,105 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const AIService = require('../services/aiService');
+const { gatherDemoChannel, failingProvider, replyingProvider } = require('./helpers');
+
+let videos;
+
+before(async () => {
+  ({ videos } = await gatherDemoChannel());
+});
+
+test('an unreachable LLM is tried once for transcripts, then skipped', async () => {
+  const provider = failingProvider();
+  const summaries = await new AIService(provider).summarizeTranscripts(videos);
+
+  assert.deepEqual(summaries, []);
+  assert.equal(provider.calls, 1);
+});
+
+test('features fall back to title words when there are no transcript summaries', async () => {
+  const features = await new AIService(failingProvider()).analyzeFeatures([], videos);
+
+  assert.equal(features.length, 5);
+  features.forEach(feature => {
+    assert.equal(feature.source, 'fallback');
+    assert.ok(videos.some(v => v.title.includes(feature.feature)));
+  });
+});
+
+test('features fall back to per-video topics when synthesis fails', async () => {
+  const summaries = [
+    { videoId: 'a', title: 'Video A', summary: 'Bread', topics: ['Sourdough', 'Starter'] },
+    { videoId: 'b', title: 'Video B', summary: 'More bread', topics: ['sourdough', 'Pizza'] }
+  ];
+  const features = await new AIService(failingProvider()).analyzeFeatures(summaries, videos);
+
+  assert.equal(features[0].feature, 'Sourdough');
+  assert.equal(features[0].confidence, 'medium');
+  assert.deepEqual(features[0].videos.map(v => v.videoId), ['a', 'b']);
+  // Built from LLM summaries, but not by the synthesis the UI would present as the LLM's
+  assert.ok(features.every(feature => feature.source === 'derived'));
+});
+
+test('comments keep their lexicon scores when the LLM fails', async () => {
+  const ai = new AIService(failingProvider());
+  const comments = videos.flatMap(v => v.comments.map(c => ({ ...c, videoId: v.videoId })));
+  const scored = await ai.scoreComments(comments);
+
+  assert.equal(scored.length, comments.length);
+  assert.ok(scored.every(c => c.scoredBy === 'lexicon'));
+
+  const sentiment = await ai.analyzeSentiment(scored);
+  assert.equal(sentiment.source, 'lexicon');
+  assert.equal(sentiment.mostRequestedFeature, null);
+  assert.deepEqual(sentiment.scoredBy, { llm: 0, lexicon: comments.length });
+  assert.ok(sentiment.distribution.positive > 0 && sentiment.distribution.negative > 0);
+});
+
+test('sentiment without comments is a placeholder', async () => {
+  const sentiment = await new AIService(failingProvider()).analyzeSentiment([]);
+
+  assert.equal(sentiment.source, 'fallback');
+  assert.equal(sentiment.distribution.total, 0);
+});
+
+test('opening hooks keep their heuristic styles when the LLM fails', async () => {
+  const ai = new AIService(failingProvider());
+  const openingHooks = await ai.analyzeOpeningHooks(videos);
+  const styleOf = videoId => openingHooks.find(h => h.videoId === videoId).style;
+
+  // The Short has no captions, so it has no opening to classify
+  assert.equal(openingHooks.length, 5);
+  assert.ok(openingHooks.every(h => h.source === 'heuristic'));
+  assert.equal(styleOf('pp-sourdough'), 'question');
+  assert.equal(styleOf('pp-mushy-pasta'), 'shock');
+  assert.equal(styleOf('pp-sourdough-week'), 'story');
+  assert.equal(styleOf('pp-knife-skills'), 'promise');
+
+  const hooks = await ai.analyzeHooks(videos, openingHooks);
+  assert.equal(hooks.source, 'heuristic');
+  assert.match(hooks.strategy, /of videos with transcripts open with a/);
+});
+
+test('hooks cannot be determined without the LLM or any transcripts', async () => {
+  const hooks = await new AIService(failingProvider()).analyzeHooks(videos, []);
+
+  assert.equal(hooks.source, 'fallback');
+  assert.equal(hooks.primaryHook, 'Unable to determine');
+});
+
+test('output that never parses is retried, then falls back', async () => {
+  const provider = replyingProvider('Sure! The main hook is curiosity.');
+  const hooks = await new AIService(provider, { maxRepairs: 1 }).analyzeHooks(videos, []);
+
+  assert.equal(hooks.source, 'fallback');
+  assert.equal(provider.prompts.length, 2);
+});
+
+test('valid LLM output is used over the fallbacks', async () => {
+  const provider = replyingProvider('{"primaryHook":"Curiosity","secondaryHooks":["Fear of failure"],"strategy":"Names a common kitchen mistake"}');
+  const hooks = await new AIService(provider).analyzeHooks(videos, []);
+
+  assert.equal(hooks.source, 'llm');
+  assert.equal(hooks.primaryHook, 'Curiosity');
+});
@@ -0,0 +1,193 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const HistoryService = require('../services/historyService');
+const AlertService = require('../services/alertService');
+const AlertLogSink = require('../services/alertLogSink');
+const WebhookService = require('../services/webhookService');
+const { verifySignature } = require('../services/webhookService');
+const { tempDir } = require('./helpers');
+
+const CHANNEL_ID = 'UCpanandpixel';
+
+// Writes a snapshot the way HistoryService does, at a fixed time so two never collide
+async function writeSnapshot(history, timestamp, { metrics, videoBreakdown = [], complaints = [] }) {
+  const snapshot = {
+    id: `${CHANNEL_ID}_${timestamp}`,
+    channelId: CHANNEL_ID,
+    channelHandle: '@panandpixel',
+    channelName: 'Pan & Pixel',
+    createdAt: new Date(timestamp).toISOString(),
+    analysis: { metrics, videoBreakdown, sentiment: { complaints }, features: [], keywords: [] }
+  };
+  const dir = history.channelDir(CHANNEL_ID);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${timestamp}.json`), JSON.stringify(snapshot));
+  return snapshot;
+}
+
+// A local receiver that answers with the given statuses in turn and records each request
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('rules fire on metric changes, new breakout videos and new complaint themes', async (t) => {
+  const dataDir = await tempDir(t);
+  const history = new HistoryService(dataDir);
+  const log = new AlertLogSink(path.join(dataDir, 'alerts.log'));
+  const alerts = new AlertService(dataDir, history, { sinks: [log] });
+
+  const engagement = await alerts.addRule({ type: 'metricChange', metric: 'engagementRate', direction: 'down', threshold: 20 });
+  await alerts.addRule({ type: 'metricChange', metric: 'uploadFrequency', unit: 'absolute', threshold: 1 });
+  await alerts.addRule({ type: 'videoOutlier' });
+  await alerts.addRule({ type: 'newComplaint' });
+  await alerts.addRule({ type: 'metricChange', metric: 'avgViews', threshold: 1, enabled: false });
+  await alerts.addRule({ type: 'metricChange', metric: 'avgViews', threshold: 1, channelId: 'UCsomeoneelse' });
+
+  const first = await writeSnapshot(history, 1759300000000, {
+    metrics: { engagementRate: '5.00', uploadFrequency: 2, avgViews: 1000 },
+    videoBreakdown: [
+      { videoId: 'old-hit', title: 'Old Hit', publishedAt: '2025-06-01T00:00:00Z', performanceRatio: 4 },
+      { videoId: 'slow-burn', title: 'Knife Skills 101', publishedAt: '2025-09-20T00:00:00Z', performanceRatio: 5 }
+    ],
+    complaints: [{ text: 'Audio is too quiet', frequency: 'low' }]
+  });
+  // Nothing to compare the first analysis with
+  assert.deepEqual(await alerts.check(first), []);
+
+  const second = await writeSnapshot(history, 1759900000000, {
+    metrics: { engagementRate: '3.50', uploadFrequency: 3.5, avgViews: 2000 },
+    videoBreakdown: [
+      { videoId: 'old-hit', title: 'Old Hit', publishedAt: '2025-06-01T00:00:00Z', performanceRatio: 4.2 },
+      // Young when the first snapshot was taken, old enough now
+      { videoId: 'slow-burn', title: 'Knife Skills 101', publishedAt: '2025-09-20T00:00:00Z', performanceRatio: 3.1 },
+      { videoId: 'breakout', title: 'Sourdough Pizza at Home', publishedAt: '2025-09-10T00:00:00Z', views: 90000, viewsPerDay: 9000, performanceRatio: 3.4 },
+      // A few days old: its views/day is inflated, so a high ratio means nothing yet
+      { videoId: 'just-posted', title: 'Focaccia Art', publishedAt: '2025-10-06T00:00:00Z', performanceRatio: 8 },
+      { videoId: 'steady', title: 'Weeknight Pasta', publishedAt: '2025-09-01T00:00:00Z', performanceRatio: 1.1 }
+    ],
+    complaints: [{ text: 'Audio is too quiet', frequency: 'low' }, { text: 'Recipes need metric units', frequency: 'medium' }]
+  });
+  const fired = await alerts.check(second);
+
+  assert.deepEqual(fired.map(a => a.message), [
+    'Pan & Pixel: engagementRate fell 30% (5 → 3.5)',
+    'Pan & Pixel: uploadFrequency rose 1.5 (2 → 3.5)',
+    'Pan & Pixel: new video "Knife Skills 101" is at 3.1x the channel\'s median views/day',
+    'Pan & Pixel: new video "Sourdough Pizza at Home" is at 3.4x the channel\'s median views/day',
+    'Pan & Pixel: new complaint theme: Recipes need metric units'
+  ]);
+  assert.equal(fired[0].ruleId, engagement.id);
+  assert.equal(fired[0].previousSnapshotId, first.id);
+  assert.deepEqual(fired[4].details.complaints, [{ text: 'Recipes need metric units', frequency: 'medium' }]);
+  assert.ok((await alerts.getRule(engagement.id)).lastTriggeredAt);
+
+  // The log sink keeps them, newest first
+  const logged = await log.recent();
+  assert.deepEqual(logged.map(a => a.id), fired.map(a => a.id).reverse());
+});
+
+test('rules are validated before they are stored', async (t) => {
+  const alerts = new AlertService(await tempDir(t), new HistoryService(await tempDir(t)));
+
+  assert.match(alerts.validateRule({ type: 'viewsDrop' }), /^Type must be one of/);
+  assert.match(alerts.validateRule({ type: 'metricChange', metric: 'bestPerformingVideo' }), /^Metric must be one of/);
+  assert.match(alerts.validateRule({ type: 'metricChange', metric: 'engagementRate', direction: 'sideways' }), /^Direction/);
+  assert.equal(alerts.validateRule({ type: 'videoOutlier', threshold: 0 }), 'Threshold must be a positive number');
+  assert.match(alerts.validateRule({ type: 'newComplaint', channelId: '../etc' }), /^Channel ID/);
+  assert.equal(alerts.validateRule({ type: 'newComplaint' }), null);
+
+  const rule = await alerts.addRule({ type: 'videoOutlier' });
+  assert.equal(rule.threshold, 3);
+  assert.equal(rule.channelId, null);
+});
+
+test('webhooks are signed and retried until the receiver accepts them', async (t) => {
+  const receiver = await startReceiver([503, 200]);
+  try {
+    const webhooks = new WebhookService(await tempDir(t), { retryDelay: 10, allowPrivateTargets: true });
+    const webhook = await webhooks.add({ url: receiver.url });
+
+    const [delivery] = await webhooks.send({ id: 'alert-1', message: 'Pan & Pixel: engagementRate fell 30%' });
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(receiver.requests.length, 2);
+
+    receiver.requests.forEach(({ headers, body }) => {
+      assert.equal(headers['x-pulseinsight-event'], 'alert');
+      assert.equal(headers['x-pulseinsight-delivery'], delivery.id);
+      assert.ok(verifySignature(webhook.secret, headers['x-pulseinsight-timestamp'], body, headers['x-pulseinsight-signature']));
+      assert.ok(!verifySignature('another-secret-entirely', headers['x-pulseinsight-timestamp'], body, headers['x-pulseinsight-signature']));
+      assert.equal(JSON.parse(body).data.id, 'alert-1');
+    });
+    assert.equal((await webhooks.get(webhook.id)).lastDelivery.status, 'delivered');
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('client errors are not retried and unreachable receivers give up', async (t) => {
+  const receiver = await startReceiver([400]);
+  try {
+    const webhooks = new WebhookService(await tempDir(t), { retryDelay: 10, maxAttempts: 3, allowPrivateTargets: true });
+
+    const rejected = await webhooks.deliver(await webhooks.add({ url: receiver.url }), 'test', {});
+    assert.deepEqual([rejected.status, rejected.attempts, rejected.error], ['failed', 1, 'Receiver answered 400']);
+
+    await receiver.close();
+    const unreachable = await webhooks.deliver(await webhooks.add({ url: receiver.url }), 'test', {});
+    assert.deepEqual([unreachable.status, unreachable.attempts, unreachable.responseStatus], ['failed', 3, null]);
+  } finally {
+    await receiver.close();
+  }
+
+  const webhooks = new WebhookService(await tempDir(t));
+  assert.equal(webhooks.validateWebhook({ url: 'ftp://example.com' }), 'URL must be an absolute http(s) URL');
+  assert.match(webhooks.validateWebhook({ url: 'https://example.com/hook', secret: 'short' }), /^Secret/);
+  assert.equal(webhooks.validateWebhook({ enabled: true }, { partial: true }), null);
+});
+
+test('webhooks refuse loopback, private and link-local targets unless allowed', async (t) => {
+  const receiver = await startReceiver([200]);
+  try {
+    const webhooks = new WebhookService(await tempDir(t), { retryDelay: 10, maxAttempts: 3 });
+    for (const url of ['http://localhost:3000/', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/', 'http://172.20.1.1/', 'http://192.168.1.10/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+      assert.equal(webhooks.validateWebhook({ url }), 'URL must not point at a loopback, private or link-local address', url);
+    }
+    assert.equal(webhooks.validateWebhook({ url: 'https://hooks.example.com/pulse' }), null);
+
+    // One stored before the check existed still isn't delivered, and isn't retried
+    const refused = await webhooks.deliver({ id: 'old', url: receiver.url, secret: 'a-secret-long-enough', enabled: true }, 'test', {});
+    assert.deepEqual([refused.status, refused.attempts, refused.responseStatus], ['failed', 1, null]);
+    assert.equal(receiver.requests.length, 0);
+
+    // A hostname is checked after it resolves
+    const error = await new Promise(resolve => webhooks.lookup('localhost', {}, resolve));
+    assert.equal(error.code, 'EPRIVATETARGET');
+
+    const allowed = new WebhookService(await tempDir(t), { allowPrivateTargets: true });
+    assert.equal(allowed.validateWebhook({ url: receiver.url }), null);
+  } finally {
+    await receiver.close();
+  }
+});
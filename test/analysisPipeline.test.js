@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisPipeline = require('../services/analysisPipeline');
+const AIService = require('../services/aiService');
+const { gatherDemoChannel, failingProvider, replyingProvider } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function trackingPipeline(options) {
+  const log = [];
+  const stage = (name, dependsOn = []) => ({
+    name,
+    dependsOn,
+    run: async inputs => {
+      log.push(`start ${name}`);
+      await delay(10);
+      log.push(`end ${name}`);
+      return { name, saw: Object.keys(inputs).sort() };
+    },
+    skipped: () => 'skipped'
+  });
+
+  const pipeline = new AnalysisPipeline(options)
+    .register(stage('a'))
+    .register(stage('b', ['a']))
+    .register(stage('c'));
+  return { pipeline, log };
+}
+
+test('independent stages run side by side and dependents wait', async () => {
+  const { pipeline, log } = trackingPipeline();
+  const { output } = await pipeline.run({ input: 1 });
+
+  assert.deepEqual(log.slice(0, 2).sort(), ['start a', 'start c']);
+  assert.ok(log.indexOf('end a') < log.indexOf('start b'));
+  assert.deepEqual(output.b.saw, ['a', 'input']);
+});
+
+test('concurrency limits how many stages run at once', async () => {
+  const { pipeline, log } = trackingPipeline({ concurrency: 1 });
+  await pipeline.run({});
+
+  assert.deepEqual(log, ['start a', 'end a', 'start c', 'end c', 'start b', 'end b']);
+});
+
+test('turned-off stages are skipped unless an enabled stage needs them', async () => {
+  const { pipeline, log } = trackingPipeline();
+  const { output, enabled, skipped } = await pipeline.run({}, { stages: ['b'] });
+
+  assert.deepEqual(enabled, ['a', 'b']);
+  assert.deepEqual(skipped, ['c']);
+  assert.equal(output.c, 'skipped');
+  assert.ok(!log.includes('start c'));
+});
+
+test('unknown stages and dependencies are rejected', () => {
+  const { pipeline } = trackingPipeline();
+
+  assert.match(pipeline.validate(['a', 'nope']), /Unknown analysis stage: nope/);
+  assert.throws(() => pipeline.register({ name: 'd', dependsOn: ['missing'], run: async () => null }), /unknown stage missing/);
+  assert.throws(() => pipeline.register({ name: 'a', run: async () => null }), /already registered/);
+});
+
+test('a request can run a subset of the AI stages', async () => {
+  const youtubeData = await gatherDemoChannel();
+  const provider = failingProvider();
+  const intelligence = await new AIService(provider).generateIntelligence(youtubeData, { stages: ['keywords', 'hooks'] });
+
+  assert.deepEqual(intelligence.metadata.stages, ['openingHooks', 'hooks', 'keywords']);
+  assert.deepEqual(intelligence.features, []);
+  assert.equal(intelligence.sentiment.source, 'skipped');
+  assert.equal(intelligence.hooks.source, 'heuristic');
+  assert.ok(intelligence.keywords.length > 0);
+  assert.equal(intelligence.scoredComments, undefined);
+});
+
+test('prompt variants are chosen per stage and recorded in the metadata', async () => {
+  const youtubeData = await gatherDemoChannel();
+  const provider = replyingProvider('{"primaryHook":"FOMO","secondaryHooks":[],"strategy":"Urgency"}');
+  const ai = new AIService(provider);
+  const intelligence = await ai.generateIntelligence(youtubeData, { stages: ['hooks'], promptVariants: { hooks: 'v2' } });
+
+  const hookPrompt = provider.prompts.find(prompt => prompt.startsWith('Identify the main emotional hook'));
+  assert.ok(hookPrompt);
+  assert.match(hookPrompt, /FOMO, efficiency, revenue/);
+  assert.equal(intelligence.hooks.primaryHook, 'FOMO');
+  assert.deepEqual(intelligence.metadata.promptVariants, { openingHooks: 'v1', hooks: 'v2' });
+});
+
+test('unknown stages and prompt variants fail validation', () => {
+  const ai = new AIService(failingProvider());
+
+  assert.equal(ai.validatePipelineOptions({ stages: ['features'], promptVariants: { features: 'v2' } }), null);
+  assert.match(ai.validatePipelineOptions({ stages: ['thumbnails'] }), /Unknown analysis stage/);
+  assert.match(ai.validatePipelineOptions({ promptVariants: { hooks: 'v9' } }), /Use one of: v1, v2/);
+  assert.match(ai.validatePipelineOptions({ promptVariants: { keywords: 'v1' } }), /has no prompt variants/);
+  assert.match(ai.validatePipelineOptions({ promptVariants: { features: undefined } }), /must look like stage:variant/);
+  assert.match(ai.validatePipelineOptions({ promptVariants: { '': 'v2' } }), /must look like stage:variant/);
+});
@@ -0,0 +1,189 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const ApiKeyService = require('../services/apiKeyService');
+const RateLimitService = require('../services/rateLimitService');
+const QuotaService = require('../services/quotaService');
+const { QuotaExceededError } = require('../services/quotaService');
+const HistoryService = require('../services/historyService');
+const WatchlistService = require('../services/watchlistService');
+const { tempDir } = require('./helpers');
+
+test('issued keys authenticate until revoked and only their hash is stored', async (t) => {
+  const dataDir = await tempDir(t);
+  const keys = new ApiKeyService(dataDir, { defaultLimits: { requestsPerMinute: 60, analysesPerHour: 5 } });
+
+  const { key, record } = await keys.issue({ name: 'Growth team', workspace: 'growth', limits: { analysesPerHour: 2 } });
+  assert.match(key, /^pi_[0-9a-f]{48}$/);
+  assert.equal(record.keyPrefix, key.slice(0, 9));
+
+  const stored = await fs.readFile(path.join(dataDir, 'api-keys.json'), 'utf8');
+  assert.ok(!stored.includes(key));
+
+  // The key's own limit wins; unset ones fall back to the server defaults
+  assert.deepEqual(await keys.authenticate(key), {
+    keyId: record.id,
+    name: 'Growth team',
+    role: 'member',
+    workspace: 'growth',
+    limits: { requestsPerMinute: 60, analysesPerHour: 2, youtubeUnitsPerDay: null }
+  });
+  assert.equal(await keys.authenticate('pi_not-a-real-key'), null);
+
+  await keys.revoke(record.id);
+  assert.equal(await keys.authenticate(key), null);
+  assert.ok((await keys.get(record.id)).revokedAt);
+});
+
+test('sessions follow their key and ADMIN_API_KEY is an admin of the default workspace', async (t) => {
+  const keys = new ApiKeyService(await tempDir(t), { adminKey: 'bootstrap-admin-key' });
+
+  assert.deepEqual(await keys.authenticate('bootstrap-admin-key'), {
+    keyId: 'admin',
+    name: 'ADMIN_API_KEY',
+    role: 'admin',
+    workspace: 'default',
+    limits: { requestsPerMinute: null, analysesPerHour: null, youtubeUnitsPerDay: null }
+  });
+
+  const { key, record } = await keys.issue({ name: 'Analyst' });
+  const session = keys.createSession(await keys.authenticate(key));
+  assert.equal((await keys.fromSession(session.token)).keyId, record.id);
+
+  await keys.revoke(record.id);
+  assert.equal(await keys.fromSession(session.token), null);
+  assert.equal(await keys.fromSession('made-up-token'), null);
+});
+
+test('keys are validated before they are issued', async (t) => {
+  const keys = new ApiKeyService(await tempDir(t));
+
+  assert.equal(keys.validateKey({}), 'Name is required');
+  assert.match(keys.validateKey({ name: 'Team', workspace: 'Growth Team' }), /^Workspace/);
+  assert.match(keys.validateKey({ name: 'Team', role: 'owner' }), /^Role/);
+  assert.match(keys.validateKey({ name: 'Team', limits: { burst: 5 } }), /^Unknown limit "burst"/);
+  assert.equal(keys.validateKey({ name: 'Team', limits: { analysesPerHour: 0 } }), 'analysesPerHour must be a positive integer, or null for the server default');
+  assert.equal(keys.validateKey({ limits: { analysesPerHour: null } }, { partial: true }), null);
+});
+
+test('rate limits count per window and reset when it ends', () => {
+  const limiter = new RateLimitService();
+  const start = 1000000;
+
+  assert.deepEqual(limiter.take('key:requests', 2, 60000, 1, start), { allowed: true, limit: 2, remaining: 1, resetAt: start + 60000 });
+  assert.equal(limiter.take('key:requests', 2, 60000, 1, start + 10).allowed, true);
+  assert.deepEqual(limiter.take('key:requests', 2, 60000, 1, start + 20), { allowed: false, limit: 2, remaining: 0, resetAt: start + 60000 });
+  // Other keys have their own window
+  assert.equal(limiter.take('other:requests', 2, 60000, 1, start + 20).allowed, true);
+  assert.equal(limiter.take('key:requests', 2, 60000, 1, start + 60000).allowed, true);
+
+  // A request that would start more analyses than are left is refused whole
+  assert.equal(limiter.take('key:analyses', 3, 60000, 4, start).allowed, false);
+  assert.equal(limiter.take('key:requests', null, 60000).allowed, true);
+});
+
+test('a key can only spend its share of the YouTube quota', async (t) => {
+  const quota = new QuotaService(await tempDir(t), { dailyBudget: 10000 });
+  const capped = { keyId: 'growth', limits: { youtubeUnitsPerDay: 2 } };
+  const uncapped = { keyId: 'research', limits: { youtubeUnitsPerDay: null } };
+
+  await quota.record('videos', capped);
+  await quota.record('videos', capped);
+  await assert.rejects(quota.record('videos', capped), error => {
+    assert.ok(error instanceof QuotaExceededError);
+    assert.equal(error.scope, 'key');
+    assert.match(error.message, /^This API key's share of the YouTube API quota is used up/);
+    return true;
+  });
+  await quota.record('search', uncapped);
+
+  assert.deepEqual(await quota.getUsageByKey(), {
+    growth: { calls: 2, units: 2 },
+    research: { calls: 1, units: 100 }
+  });
+  assert.equal((await quota.getUsage()).used, 102);
+  // Usage is saved in the background; let the last write land before the directory goes
+  await quota.saving;
+});
+
+test('snapshots and watchlist entries are scoped to their workspace', async (t) => {
+  const dataDir = await tempDir(t);
+  const history = new HistoryService(dataDir);
+  const analysis = { channelHandle: '@panandpixel', channelInfo: { channelName: 'Pan & Pixel' }, metrics: {} };
+
+  const growth = await history.saveSnapshot('UCpanandpixel', analysis, 'growth');
+  // Snapshots from before workspaces have no workspace field and belong to the default one
+  const legacy = { ...growth, id: 'UCpanandpixel_1', createdAt: new Date(1).toISOString() };
+  delete legacy.workspace;
+  await fs.writeFile(path.join(history.channelDir('UCpanandpixel'), '1.json'), JSON.stringify(legacy));
+
+  assert.deepEqual((await history.listSnapshots('UCpanandpixel', 'growth')).map(s => s.id), [growth.id]);
+  assert.deepEqual((await history.listSnapshots('UCpanandpixel', 'default')).map(s => s.id), ['UCpanandpixel_1']);
+  assert.equal((await history.listSnapshots('UCpanandpixel')).length, 2);
+  assert.deepEqual((await history.listChannels('research')), []);
+
+  const watchlist = new WatchlistService(dataDir, async () => ({}));
+  await watchlist.add({ channelHandle: '@panandpixel' }, 'growth');
+  await watchlist.add({ channelHandle: '@crustandcrumb' });
+
+  assert.deepEqual((await watchlist.list('growth')).map(e => e.channelHandle), ['@panandpixel']);
+  assert.deepEqual((await watchlist.list('default')).map(e => e.channelHandle), ['@crustandcrumb']);
+});
+
+test('usage counts are written in batches rather than on every request', async (t) => {
+  const dataDir = await tempDir(t);
+  const keys = new ApiKeyService(dataDir, { usageSaveDelay: 20 });
+  const { record } = await keys.issue({ name: 'Growth team' });
+
+  let saves = 0;
+  const save = keys.save.bind(keys);
+  keys.save = () => {
+    saves++;
+    return save();
+  };
+
+  await keys.recordUse(record.id, 'requests');
+  await keys.recordUse(record.id, 'requests');
+  await keys.recordUse(record.id, 'analyses', 2);
+  assert.equal(saves, 0);
+  assert.deepEqual(keys.describe(record).usageToday, { requests: 2, analyses: 2, youtubeUnits: 0 });
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await keys.saving;
+  assert.equal(saves, 1);
+  const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'api-keys.json'), 'utf8'));
+  assert.equal(stored[0].usage.requests, 2);
+});
+
+test('scheduled watchlist runs are made on behalf of the key that added the entry', async (t) => {
+  const calls = [];
+  const watchlist = new WatchlistService(await tempDir(t), async (channelHandle, options) => {
+    calls.push(options);
+    return {};
+  });
+  const keys = new ApiKeyService(await tempDir(t));
+  const { record } = await keys.issue({ name: 'Growth team', workspace: 'growth' });
+
+  const entry = await watchlist.add({ channelHandle: '@panandpixel' }, 'growth', record.id);
+  assert.equal(entry.createdBy, record.id);
+
+  const drained = async () => {
+    while (watchlist.draining) await new Promise(resolve => setTimeout(resolve, 1));
+  };
+  // Due now, so the scheduler queues it without an auth of its own
+  entry.nextRunAt = new Date(0).toISOString();
+  await watchlist.tick();
+  await drained();
+  const caller = { keyId: 'someone-else', workspace: 'growth' };
+  watchlist.enqueue(entry.id, caller);
+  await drained();
+
+  assert.deepEqual(calls, [
+    { workspace: 'growth', auth: null, createdBy: record.id },
+    { workspace: 'growth', auth: caller, createdBy: record.id }
+  ]);
+  assert.equal((await keys.authFor(record.id)).workspace, 'growth');
+  await keys.revoke(record.id);
+  assert.equal(await keys.authFor(record.id), null);
+});
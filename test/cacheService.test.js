@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CacheService = require('../services/cacheService');
+const { tempDir } = require('./helpers');
+
+test('a TTL of 0 turns caching off for that type only', async (t) => {
+  const cache = new CacheService(await tempDir(t));
+  cache.ttls.comments = 0;
+  let fetches = 0;
+  const fetch = async () => ++fetches;
+
+  assert.equal(await cache.wrap('comments', 'video-1', fetch), 1);
+  assert.equal(await cache.wrap('comments', 'video-1', fetch), 2);
+  assert.deepEqual(await cache.list('comments'), []);
+
+  assert.equal(await cache.wrap('videoStats', 'video-1', fetch), 3);
+  assert.equal(await cache.wrap('videoStats', 'video-1', fetch), 3);
+  assert.throws(() => cache.fileFor('toString', 'video-1'), /Unknown cache type/);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const FixtureService = require('../services/fixtureService');
+const { FixtureMissingError } = require('../services/fixtureService');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+const { replyingProvider, failingProvider, tempDir } = require('./helpers');
+
+test('record saves responses that replay returns without calling out', async (t) => {
+  const dir = await tempDir(t);
+  const recorder = new FixtureService(dir, 'record');
+  assert.deepEqual(await recorder.wrap('youtube', 'channels?{"id":"UC1"}', async () => ({ items: [1] })), { items: [1] });
+  await recorder.writes;
+
+  const replayer = new FixtureService(dir, 'replay');
+  const value = await replayer.wrap('youtube', 'channels?{"id":"UC1"}', () => assert.fail('replay must not fetch'));
+  assert.deepEqual(value, { items: [1] });
+});
+
+test('recorded errors are thrown again on replay', async (t) => {
+  const dir = await tempDir(t);
+  const recorder = new FixtureService(dir, 'record');
+  await assert.rejects(recorder.wrap('transcripts', 'abc', async () => { throw new Error('Transcript is disabled'); }), /disabled/);
+  await recorder.writes;
+
+  await assert.rejects(new FixtureService(dir, 'replay').wrap('transcripts', 'abc', async () => 'live'), /Transcript is disabled/);
+});
+
+test('replay fails with FixtureMissingError when nothing was recorded', async (t) => {
+  const replayer = new FixtureService(await tempDir(t), 'replay');
+  await assert.rejects(replayer.wrap('llm', 'some prompt', async () => 'live'), FixtureMissingError);
+});
+
+test('parallel recordings all end up on disk', async (t) => {
+  const dir = await tempDir(t);
+  const recorder = new FixtureService(dir, 'record');
+  await Promise.all(Array.from({ length: 10 }, (_, i) => recorder.wrap('youtube', `key-${i}`, async () => i)));
+  await recorder.writes;
+
+  const saved = JSON.parse(await fs.readFile(path.join(dir, 'youtube.json'), 'utf8'));
+  assert.equal(Object.keys(saved).length, 10);
+});
+
+test('unknown modes are rejected', () => {
+  assert.throws(() => new FixtureService('/tmp', 'live'), /Unknown fixture mode/);
+});
+
+test('FixtureProvider replays recorded completions by prompt', async (t) => {
+  const dir = await tempDir(t);
+  const recordService = new FixtureService(dir, 'record');
+  const recording = new FixtureProvider(recordService, replyingProvider('{"primaryHook":"Curiosity"}'));
+  assert.equal(await recording.generate('prompt A'), '{"primaryHook":"Curiosity"}');
+  await recordService.writes;
+
+  const live = failingProvider();
+  const replaying = new FixtureProvider(new FixtureService(dir, 'replay'), live);
+  assert.equal(await replaying.generate('prompt A'), '{"primaryHook":"Curiosity"}');
+  await assert.rejects(replaying.generate('prompt B'), FixtureMissingError);
+  assert.equal(live.calls, 0);
+  assert.equal(replaying.name, 'Ollama (replay)');
+});
+
+test('YouTube quota is charged outside the fixture, so it is never recorded or spent on replay', async (t) => {
+  const YouTubeService = require('../services/youtubeService');
+  const { QuotaExceededError } = require('../services/quotaService');
+  const dir = await tempDir(t);
+
+  const refusing = { record: async () => { throw new QuotaExceededError(1, 0); } };
+  const recorder = new FixtureService(dir, 'record');
+  await assert.rejects(new YouTubeService('unused', refusing, null, recorder).apiGet('channels', { id: 'UC1' }), QuotaExceededError);
+  await recorder.writes;
+  await assert.rejects(fs.readFile(path.join(dir, 'youtube.json')), { code: 'ENOENT' });
+
+  await fs.writeFile(path.join(dir, 'youtube.json'), JSON.stringify({ 'channels?{"id":"UC1"}': { value: { items: [1] } } }));
+  let charged = 0;
+  const counting = { record: async () => { charged++; } };
+  const replayer = new YouTubeService('unused', counting, null, new FixtureService(dir, 'replay'));
+  assert.deepEqual((await replayer.apiGet('channels', { id: 'UC1' })).data, { items: [1] });
+  assert.equal(charged, 0);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AIService = require('../services/aiService');
+const FixtureService = require('../services/fixtureService');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+const MetricsService = require('../services/metricsService');
+const AudienceRequestService = require('../services/audienceRequestService');
+const GapAnalysisService = require('../services/gapAnalysisService');
+const { DEMO_CHANNEL, gatherDemoChannel, failingProvider, NOW } = require('./helpers');
+
+async function analyzeDemoChannel() {
+  const youtubeData = await gatherDemoChannel();
+  const ai = new AIService(new FixtureProvider(new FixtureService(DEMO_CHANNEL, 'replay'), failingProvider()));
+  const intelligence = await ai.generateIntelligence(youtubeData);
+  return {
+    ...intelligence,
+    channelInfo: youtubeData.channelStats,
+    videoBreakdown: new MetricsService().getVideoBreakdown(youtubeData.videos, intelligence.openingHooks, NOW)
+  };
+}
+
+// A second channel in the shape runAnalysis returns, with only the fields gap analysis reads
+function otherChannel(overrides = {}) {
+  return {
+    channelHandle: '@crustandcrumb',
+    channelInfo: { channelName: 'Crust & Crumb' },
+    features: [],
+    keywords: [],
+    videoSummaries: [],
+    sentiment: { mostRequestedFeature: null, complaints: [] },
+    audienceRequests: [],
+    videoBreakdown: [
+      { videoId: 'cc-baguette', title: 'Baguettes Without a Mixer', views: 90000, performanceRatio: 2.4 },
+      { videoId: 'cc-knives', title: 'Three Bread Knives Compared', views: 15000, performanceRatio: 0.6 }
+    ],
+    ...overrides
+  };
+}
+
+test('request comments are reduced to the topic asked for', () => {
+  const requests = new AudienceRequestService();
+
+  assert.equal(requests.extractTopic('Please do a video on sourdough pizza!').topic, 'sourdough pizza');
+  assert.equal(requests.extractTopic('I would love to see a full guide on knife sharpening because mine are dull').topic, 'knife sharpening');
+  assert.equal(requests.extractTopic('Could you show us how to sharpen a knife?').topic, 'sharpen a knife');
+  assert.equal(requests.extractTopic('Which knife is that?'), null);
+  assert.equal(requests.extractTopic('great video, please make more'), null);
+
+  const grouped = requests.extract([
+    { videoId: 'a', comments: [{ text: 'Can you do a video on pizza dough?', likeCount: 3 }] },
+    { videoId: 'b', comments: [{ text: 'Please make a tutorial on pizza dough', likeCount: 10 }, { text: 'Nice', likeCount: 50 }] }
+  ]);
+  assert.equal(grouped.length, 1);
+  assert.deepEqual({ ...grouped[0], quotes: grouped[0].quotes.length }, {
+    topic: 'pizza dough',
+    terms: ['pizza', 'dough'],
+    mentions: 2,
+    likes: 13,
+    videos: ['a', 'b'],
+    quotes: 2
+  });
+});
+
+test('an uncovered request becomes an idea backed by its comments and related videos', async () => {
+  const analysis = await analyzeDemoChannel();
+  assert.equal(analysis.audienceRequests[0].topic, 'sourdough pizza');
+
+  const { channels, ideas, covered } = new GapAnalysisService().analyze([analysis]);
+
+  assert.deepEqual(channels, [{ channelHandle: '@panandpixel', channelName: 'Pan & Pixel', videosAnalyzed: 6, requests: 2 }]);
+  assert.deepEqual(covered, []);
+
+  const [top] = ideas;
+  assert.equal(top.rank, 1);
+  assert.equal(top.idea, 'Sourdough pizza');
+  assert.deepEqual(top.demand, { score: 6.62, mentions: 2, likes: 101, mostRequestedFeature: false, channels: ['@panandpixel'] });
+  assert.deepEqual(top.quotes.map(q => [q.videoId, q.likeCount]), [['pp-sourdough', 61], ['pp-sourdough-week', 40]]);
+  // The sourdough videos the requests were posted on are the related ones, best first
+  assert.deepEqual(top.performance.relatedVideos.map(v => v.videoId), ['pp-sourdough', 'pp-sourdough-week', 'pp-starter-guide']);
+  assert.equal(top.performance.avgPerformanceRatio, 1.3);
+  assert.equal(top.demandRank, 1);
+});
+
+test('topics another channel already covers are reported as covered, not as ideas', async () => {
+  const analysis = await analyzeDemoChannel();
+  const competitor = otherChannel({
+    videoBreakdown: [
+      ...otherChannel().videoBreakdown,
+      { videoId: 'cc-pizza', title: 'Sourdough Pizza in a Home Oven', views: 40000, performanceRatio: 1.1 }
+    ]
+  });
+
+  const { ideas, covered } = new GapAnalysisService().analyze([analysis, competitor]);
+
+  assert.ok(!ideas.some(idea => idea.topic === 'sourdough pizza'));
+  assert.deepEqual(covered, [{
+    topic: 'sourdough pizza',
+    mentions: 2,
+    likes: 101,
+    coveredBy: [{ channelHandle: '@crustandcrumb', videoId: 'cc-pizza', title: 'Sourdough Pizza in a Home Oven' }]
+  }]);
+});
+
+test('the LLM\'s most requested feature and matching complaints add to demand', async () => {
+  const analysis = await analyzeDemoChannel();
+  const competitor = otherChannel({
+    sentiment: {
+      mostRequestedFeature: 'Bread knife sharpening',
+      complaints: [
+        { text: 'Knife goes dull right after sharpening', frequency: 'medium' },
+        { text: 'Audio is too quiet', frequency: 'low' }
+      ]
+    }
+  });
+
+  const { ideas } = new GapAnalysisService().analyze([analysis, competitor]);
+  const sharpening = ideas.find(idea => idea.topic === 'bread knife sharpening');
+
+  assert.deepEqual(sharpening.signals, ['mostRequestedFeature', 'complaints']);
+  assert.deepEqual(sharpening.demand, { score: 1, mentions: 0, likes: 0, mostRequestedFeature: true, channels: ['@crustandcrumb'] });
+  assert.deepEqual(sharpening.complaints.map(c => c.text), ['Knife goes dull right after sharpening']);
+  assert.deepEqual(sharpening.quotes, []);
+  // Related videos come from every channel: both knife videos underperformed
+  assert.deepEqual(sharpening.performance.relatedVideos.map(v => v.videoId).sort(), ['cc-knives', 'pp-knife-skills']);
+  assert.equal(sharpening.performance.avgPerformanceRatio, 0.63);
+  assert.equal(sharpening.priority, 0.63);
+  // Comment demand ranks first; the competitor's breakout baguette video doesn't relate to either
+  assert.equal(ideas[0].topic, 'sourdough pizza');
+});
@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const YouTubeService = require('../services/youtubeService');
+const FixtureService = require('../services/fixtureService');
+
+// A made-up six-video cooking channel in the format FIXTURE_MODE=record writes: one Short
+// without captions, one video with hidden likes and one with comments turned off
+const DEMO_CHANNEL = path.join(__dirname, 'fixtures', 'demo-channel');
+const DEMO_HANDLE = '@panandpixel';
+
+// Age-based metrics are computed against this instead of the clock
+const NOW = new Date('2026-10-01T00:00:00Z');
+
+async function gatherDemoChannel(options = {}) {
+  const youtube = new YouTubeService('unused', null, null, new FixtureService(DEMO_CHANNEL, 'replay'));
+  return youtube.gatherChannelIntelligence(DEMO_HANDLE, {
+    sampling: { maxVideos: 6, maxCommentsPerVideo: 20 },
+    ...options
+  });
+}
+
+// A fresh data directory for one test, removed when the test ends
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pulseinsight-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Stand-ins for a configured LLM provider
+function failingProvider(message = 'connect ECONNREFUSED 127.0.0.1:11434') {
+  return {
+    name: 'Ollama',
+    model: 'llama3.2',
+    temperature: 0.3,
+    calls: 0,
+    async generate() {
+      this.calls++;
+      throw new Error(message);
+    }
+  };
+}
+
+function replyingProvider(reply) {
+  return {
+    name: 'Ollama',
+    model: 'llama3.2',
+    temperature: 0.3,
+    prompts: [],
+    async generate(prompt) {
+      this.prompts.push(prompt);
+      return typeof reply === 'function' ? reply(prompt) : reply;
+    }
+  };
+}
+
+module.exports = { DEMO_CHANNEL, DEMO_HANDLE, NOW, gatherDemoChannel, tempDir, failingProvider, replyingProvider };
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const JobService = require('../services/jobService');
+
+test('analyses a route waits for share the queue and its concurrency limit', async () => {
+  let running = 0;
+  let mostAtOnce = 0;
+  const jobs = new JobService(async channelHandle => {
+    running++;
+    mostAtOnce = Math.max(mostAtOnce, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    if (channelHandle === '@missing') throw Object.assign(new Error('Channel not found'), { code: 'NOT_FOUND' });
+    return { channelHandle };
+  }, { concurrency: 1 });
+
+  const queued = jobs.create('@crustandcrumb');
+  const waited = jobs.run('@panandpixel');
+  assert.equal(jobs.getStatus().queued, 1);
+
+  assert.deepEqual(await waited, { channelHandle: '@panandpixel' });
+  assert.equal(jobs.get(queued.id).status, 'completed');
+  assert.equal(mostAtOnce, 1);
+  // Only the queued job is public; the route's analysis can't be listed or cancelled by others
+  assert.deepEqual(jobs.list().map(job => job.id), [queued.id]);
+
+  // The route gets the original error back, not just its message
+  await assert.rejects(jobs.run('@missing'), error => error.code === 'NOT_FOUND');
+});
+
+test('aborting the signal cancels an analysis still in the queue', async () => {
+  const jobs = new JobService(() => new Promise(resolve => setTimeout(() => resolve({}), 5)), { concurrency: 1 });
+  const controller = new AbortController();
+
+  const first = jobs.run('@crustandcrumb');
+  const second = jobs.run('@panandpixel', { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(second, /Job cancelled/);
+  await first;
+  assert.equal(jobs.getStatus().queued, 0);
+});
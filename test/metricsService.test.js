@@ -0,0 +1,93 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const MetricsService = require('../services/metricsService');
+const { gatherDemoChannel, NOW } = require('./helpers');
+
+const metricsService = new MetricsService();
+let youtubeData;
+
+before(async () => {
+  youtubeData = await gatherDemoChannel();
+});
+
+test('calculateEnhancedMetrics totals the sample and leaves hidden counts out of rates', () => {
+  const metrics = metricsService.calculateEnhancedMetrics(youtubeData, NOW);
+
+  assert.equal(metrics.videosAnalyzed, 6);
+  assert.equal(metrics.totalViews, 596000);
+  assert.equal(metrics.avgViews, 99333);
+  // 29,100 likes over the 535,000 views of videos that show likes
+  assert.equal(metrics.likesHidden, 1);
+  assert.equal(metrics.engagementRate, 5.44);
+  assert.equal(metrics.avgLikes, 5820);
+  // The video with comments turned off is left out of the comment rate
+  assert.equal(metrics.commentRate, 0.24);
+  assert.equal(metrics.transcriptAvailability, 83);
+  assert.equal(metrics.uploadFrequency, 0.6);
+  assert.equal(metrics.subscriberCount, '412000');
+});
+
+test('calculateEnhancedMetrics picks the most viewed video and splits by format', () => {
+  const metrics = metricsService.calculateEnhancedMetrics(youtubeData, NOW);
+
+  assert.deepEqual(metrics.bestPerformingVideo, {
+    videoId: 'pp-crispy-garlic',
+    title: 'Crispy Garlic in 30 Seconds #shorts',
+    views: '240000',
+    likes: '15000'
+  });
+  assert.equal(metrics.byFormat.shorts.videosAnalyzed, 1);
+  assert.equal(metrics.byFormat.longForm.videosAnalyzed, 5);
+  assert.equal(metrics.byFormat.shorts.transcriptAvailability, 0);
+});
+
+test('calculateEnhancedMetrics normalizes views by age', () => {
+  const metrics = metricsService.calculateEnhancedMetrics(youtubeData, NOW);
+
+  assert.equal(metrics.trend.videos, 6);
+  assert.equal(metrics.outliers.over[0].videoId, 'pp-crispy-garlic');
+  assert.ok(metrics.medianViewsPerDay > 0);
+  assert.equal(metrics.postingHeatmap.counts.flat().reduce((sum, n) => sum + n, 0), 6);
+  assert.deepEqual(metrics.durationBuckets.map(b => b.label), ['Under 1 min', '5-10 min', '10-20 min', '20-40 min']);
+});
+
+test('getVideoBreakdown lists videos by views with nulls for hidden counts', () => {
+  const breakdown = metricsService.getVideoBreakdown(youtubeData.videos, [], NOW);
+
+  assert.deepEqual(breakdown.map(v => v.videoId), [
+    'pp-crispy-garlic', 'pp-sourdough', 'pp-mushy-pasta', 'pp-knife-skills', 'pp-sourdough-week', 'pp-starter-guide'
+  ]);
+
+  const pasta = breakdown.find(v => v.videoId === 'pp-mushy-pasta');
+  assert.equal(pasta.likes, null);
+  assert.equal(pasta.engagementRate, null);
+
+  const guide = breakdown.find(v => v.videoId === 'pp-starter-guide');
+  assert.equal(guide.comments, null);
+  assert.equal(guide.commentCount, 0);
+
+  const sourdough = breakdown.find(v => v.videoId === 'pp-sourdough');
+  assert.equal(sourdough.engagementRate, '5.00');
+  assert.equal(sourdough.hasTranscript, true);
+  assert.equal(sourdough.thumbnail, 'https://i.ytimg.com/vi/pp-sourdough/mqdefault.jpg');
+  assert.equal(sourdough.commentStats.harvested, 9);
+  assert.equal(sourdough.hook, null);
+});
+
+test('getVideoBreakdown attaches opening hooks without their segments', () => {
+  const hooks = [{
+    videoId: 'pp-sourdough',
+    title: 'How to Make Perfect Sourdough at Home',
+    style: 'question',
+    confidence: 'high',
+    summary: 'Asks why sourdough comes out flat',
+    opening: 'Have you ever wondered why your sourdough comes out flat?',
+    url: 'https://www.youtube.com/watch?v=pp-sourdough&t=0s',
+    segments: [{ start: 0, text: 'Have you ever wondered', url: 'https://www.youtube.com/watch?v=pp-sourdough&t=0s' }],
+    source: 'heuristic'
+  }];
+
+  const sourdough = metricsService.getVideoBreakdown(youtubeData.videos, hooks, NOW).find(v => v.videoId === 'pp-sourdough');
+  assert.equal(sourdough.hook.style, 'question');
+  assert.equal(sourdough.hook.segments, undefined);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AIService = require('../services/aiService');
+const FixtureService = require('../services/fixtureService');
+const FixtureProvider = require('../services/providers/fixtureProvider');
+const MetricsService = require('../services/metricsService');
+const { DEMO_CHANNEL, gatherDemoChannel, failingProvider, NOW } = require('./helpers');
+
+// The demo channel has no recorded LLM completions, so every AI stage replays as an
+// unreachable LLM and the whole analysis runs on its fallbacks
+test('a recorded channel runs through the whole analysis offline', async () => {
+  const events = [];
+  const onProgress = event => events.push(event);
+
+  const youtubeData = await gatherDemoChannel({ onProgress });
+  assert.equal(youtubeData.channelId, 'UCpanAndPixelKitchen00001');
+  assert.equal(youtubeData.totalVideosAnalyzed, 6);
+  assert.equal(youtubeData.videos.filter(v => v.transcript).length, 5);
+
+  const live = failingProvider();
+  const ai = new AIService(new FixtureProvider(new FixtureService(DEMO_CHANNEL, 'replay'), live));
+  const intelligence = await ai.generateIntelligence(youtubeData, { onProgress });
+
+  assert.equal(live.calls, 0);
+  assert.ok(intelligence.features.every(f => f.source === 'fallback'));
+  assert.equal(intelligence.sentiment.source, 'lexicon');
+  assert.equal(intelligence.hooks.source, 'heuristic');
+  assert.equal(intelligence.videoSentiment.length, 6);
+  assert.ok(intelligence.keywords.some(k => k.keyword === 'sourdough'));
+
+  const finished = events.filter(e => e.type === 'stage' && e.status === 'finished').map(e => e.stage);
+  assert.deepEqual([...finished].sort(), ['audienceRequests', 'commentScoring', 'features', 'hooks', 'keywords', 'openingHooks', 'sentiment', 'transcripts', 'videoSentiment']);
+  assert.ok(finished.indexOf('transcripts') < finished.indexOf('features'));
+  assert.deepEqual(intelligence.metadata.skippedStages, []);
+  assert.equal(events.filter(e => e.type === 'video').length, 6);
+
+  const metricsService = new MetricsService();
+  const breakdown = metricsService.getVideoBreakdown(youtubeData.videos, intelligence.openingHooks, NOW);
+  assert.equal(breakdown.filter(v => v.hook).length, 5);
+  assert.equal(metricsService.calculateEnhancedMetrics(youtubeData, NOW).commentsProcessed, youtubeData.totalComments);
+});
+
+test('an unrecorded channel fails instead of reaching the network', async () => {
+  const YouTubeService = require('../services/youtubeService');
+  const youtube = new YouTubeService('unused', null, null, new FixtureService(DEMO_CHANNEL, 'replay'));
+
+  await assert.rejects(youtube.gatherChannelIntelligence('@someoneelse'), /No youtube fixture recorded/);
+});
+
+test('replies are only fetched while the per-video comment cap has room', async () => {
+  const YouTubeService = require('../services/youtubeService');
+  const youtube = new YouTubeService('unused', null, null, null);
+  const comment = id => ({ id, snippet: { textDisplay: `comment ${id}`, likeCount: 0 } });
+  const replyRequests = [];
+
+  youtube.apiGet = async (endpoint, params) => {
+    if (endpoint === 'commentThreads') {
+      return { data: { items: [1, 2].map(n => ({ snippet: { topLevelComment: comment(`top${n}`), totalReplyCount: 500 } })) } };
+    }
+    replyRequests.push(params.parentId);
+    // Pages of 100 replies that would go on for a while
+    return { data: { items: Array.from({ length: 100 }, (_, i) => comment(`${params.parentId}-${params.pageToken || 0}-${i}`)), nextPageToken: String((Number(params.pageToken) || 0) + 1) } };
+  };
+
+  const comments = await youtube.getComments('video1', { maxComments: 50 });
+  assert.equal(comments.length, 50);
+  // The busiest thread's first page fills the cap: no second page, no second thread
+  assert.deepEqual(replyRequests, ['top1']);
+});
+
+test('the quota estimate covers every reply page an analysis can fetch', () => {
+  const YouTubeService = require('../services/youtubeService');
+  const youtube = new YouTubeService('unused');
+  const withReplies = youtube.normalizeSampling({ maxVideos: 1, maxCommentsPerVideo: 300 });
+  const withoutReplies = youtube.normalizeSampling({ maxVideos: 1, maxCommentsPerVideo: 300, includeReplies: false });
+
+  // 3 thread pages, then each of the 5 busiest threads can take up to 3 reply pages
+  assert.equal(youtube.estimateAnalysisCost(withoutReplies) - youtube.estimateVideoListCost(withoutReplies), 3);
+  assert.equal(youtube.estimateAnalysisCost(withReplies) - youtube.estimateVideoListCost(withReplies), 3 + 5 * 3);
+});
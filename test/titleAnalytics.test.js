@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TitleAnalyticsService = require('../services/titleAnalyticsService');
+const YouTubeService = require('../services/youtubeService');
+const FixtureService = require('../services/fixtureService');
+const { DEMO_CHANNEL, DEMO_HANDLE, gatherDemoChannel, NOW } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 30 days old unless said otherwise, so views / 30 is the views/day
+function video(videoId, title, views, { likes = views / 20, ageDays = 30, isShort = false } = {}) {
+  return {
+    videoId,
+    title,
+    publishedAt: new Date(NOW.getTime() - ageDays * DAY_MS).toISOString(),
+    isShort,
+    stats: { viewCount: String(views), likeCount: likes === null ? undefined : String(likes) }
+  };
+}
+
+// Numbered titles do well above the rest; questions do worse
+const CHANNEL = [
+  video('a', '7 Easy Weeknight Dinners', 60000),
+  video('b', '5 Knife Skills Every Cook Needs', 54000),
+  video('c', '3 Sauces You Should Know', 66000),
+  video('d', 'Is Cast Iron Worth It?', 15000),
+  video('e', 'Why Is My Bread Dense?', 18000),
+  video('f', 'Making Fresh Pasta at Home', 30000, { likes: null }),
+  video('g', 'Roasting a Whole Chicken', 33000)
+];
+
+test('extractFeatures reads the title features', () => {
+  const service = new TitleAnalyticsService();
+
+  assert.deepEqual(service.extractFeatures('I Tried the ULTIMATE Sourdough Hack (2026) 🔥?'), {
+    length: 45,
+    words: 7,
+    hasNumber: true,
+    hasQuestion: true,
+    hasBrackets: true,
+    allCapsWords: 1,
+    hasEmoji: true,
+    powerWords: ['ultimate', 'hack']
+  });
+  assert.equal(service.extractFeatures('My TV setup').allCapsWords, 0);
+});
+
+test('analyze reports which title patterns over- and underperform', () => {
+  const report = new TitleAnalyticsService().analyze(CHANNEL, NOW);
+  const byPattern = Object.fromEntries(report.patterns.map(p => [p.pattern, p]));
+
+  assert.equal(report.videosAnalyzed, 7);
+  assert.deepEqual(report.overperforming, ['number']);
+  assert.deepEqual(report.underperforming, ['question']);
+
+  assert.equal(byPattern.number.videosWith, 3);
+  assert.deepEqual(byPattern.number.viewsPerDay, { with: 1.82, without: 0.73, lift: 2.49 });
+  // Hidden likes are left out of the like rate rather than counted as zero
+  assert.deepEqual(byPattern.number.likeRate, { with: 1, without: 1, lift: 1 });
+  assert.equal(byPattern.emoji.verdict, 'insufficient data');
+  assert.equal(report.patterns[0].pattern, 'number');
+});
+
+test('analyze measures Shorts against Shorts and leaves out videos still gaining views', () => {
+  const channel = [
+    ...CHANNEL,
+    video('s1', '1 Minute Garlic Trick', 600000, { isShort: true }),
+    video('s2', 'Butter Board?', 600000, { isShort: true }),
+    video('new', '10 Things I Wish I Knew', 50000, { ageDays: 2 })
+  ];
+
+  const report = new TitleAnalyticsService().analyze(channel, NOW);
+  const number = report.patterns.find(p => p.pattern === 'number');
+
+  assert.equal(report.excludedRecent, 1);
+  assert.ok(!report.videos.some(v => v.videoId === 'new'));
+  // The Shorts' huge views/day are typical for a Short, so the numbered one doesn't inflate the lift
+  assert.equal(report.videos.find(v => v.videoId === 's1').relativeViewsPerDay, 1);
+  assert.equal(number.viewsPerDay.lift, 1.9);
+});
+
+test('analyze correlates numeric title features with performance', () => {
+  const service = new TitleAnalyticsService();
+
+  assert.equal(service.spearman([[1, 10], [2, 20], [3, 30]]), 1);
+  assert.equal(service.spearman([[1, 30], [2, 20], [3, 10]]), -1);
+  assert.equal(service.spearman([[1, 10], [1, 20], [1, 30]]), null);
+
+  const report = service.analyze(CHANNEL, NOW);
+  assert.deepEqual(report.correlations.map(c => c.feature), ['length', 'words', 'allCapsWords']);
+  assert.equal(report.correlations.find(c => c.feature === 'allCapsWords').viewsPerDay, null);
+});
+
+test('scoreDraft rewards overperforming patterns and suggests fixes', () => {
+  const service = new TitleAnalyticsService();
+  const report = service.analyze(CHANNEL, NOW);
+
+  const numbered = service.scoreDraft('4 Soups for Cold Nights', report);
+  assert.equal(numbered.score, 83);
+  assert.equal(numbered.expectedLift, 2.49);
+  assert.deepEqual(numbered.suggestions, []);
+
+  const question = service.scoreDraft('Should You Salt Pasta Water?', report);
+  assert.ok(question.score < 50);
+  // Questions pull views down further than numbers lift them, so that comes first
+  assert.deepEqual(question.suggestions.map(s => s.pattern), ['question', 'number']);
+  assert.equal(question.suggestions[0].advice, 'Make it a statement rather than a question');
+});
+
+test('the demo channel yields title patterns from its gathered videos', async () => {
+  const youtubeData = await gatherDemoChannel();
+  const report = new TitleAnalyticsService().analyze(youtubeData.videos, NOW);
+
+  assert.equal(report.videosAnalyzed, 6);
+  assert.equal(report.videos.find(v => v.videoId === 'pp-mushy-pasta').likeRate, null);
+  assert.ok(report.patterns.every(p => ['overperforms', 'underperforms', 'neutral', 'insufficient data'].includes(p.verdict)));
+});
+
+test('scoring against a fresh sample needs only the video list and stats', async () => {
+  const youtube = new YouTubeService('unused', null, null, new FixtureService(DEMO_CHANNEL, 'replay'));
+  const endpoints = new Set();
+  const apiGet = youtube.apiGet.bind(youtube);
+  youtube.apiGet = (endpoint, ...rest) => {
+    endpoints.add(endpoint);
+    return apiGet(endpoint, ...rest);
+  };
+
+  const { videos } = await youtube.gatherChannelVideos(DEMO_HANDLE, { sampling: { maxVideos: 6 } });
+  assert.ok(!endpoints.has('commentThreads') && !endpoints.has('comments'));
+
+  const service = new TitleAnalyticsService();
+  const full = await gatherDemoChannel();
+  assert.deepEqual(service.analyze(videos, NOW), service.analyze(full.videos, NOW));
+});